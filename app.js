@@ -7,10 +7,52 @@
   const DATETIME_RE = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(?:\.\d{1,7})?$/;
   const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
   const TIME_RE = /^\d{2}:\d{2}:\d{2}(?:\.\d{1,7})?$/;
+  const GUID_RE = /^[0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{12}$/;
+  const BRACED_GUID_RE = /^\{[0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{12}\}$/;
+  const FLOAT_RE = /^[+-]?(?:\d+\.?\d*|\.\d+)[eE][+-]?\d+$/;
+  const CAST_RE = /^(?:TRY_)?CAST\s*\([\s\S]+\s+AS\s+([A-Za-z][\w ]*?(?:\s*\(\s*(?:\d+|max)\s*(?:,\s*\d+\s*)?\))?)\s*\)$/i;
+  const CONVERT_RE = /^(?:TRY_)?CONVERT\s*\(\s*([A-Za-z][\w ]*?(?:\s*\(\s*(?:\d+|max)\s*(?:,\s*\d+\s*)?\))?)\s*,[\s\S]+\)$/i;
+  const TINYINT_MAX = 255n;
+  const SMALLINT_MIN = -32768n;
+  const SMALLINT_MAX = 32767n;
   const STORAGE_KEYS = {
     sql: "navSqlFormatter.sql",
     exec: "navSqlFormatter.exec",
+    call: "navSqlFormatter.call",
+    inputMode: "navSqlFormatter.inputMode",
+    outputMode: "navSqlFormatter.outputMode",
+    sourceComments: "navSqlFormatter.sourceComments",
+    navAnnotations: "navSqlFormatter.navAnnotations",
+    narrowIntegers: "navSqlFormatter.narrowIntegers",
+    redactValues: "navSqlFormatter.redactValues",
+    formatOptions: "navSqlFormatter.formatOptions",
   };
+  // Kept apart from STORAGE_KEYS so that Clear does not wipe the history.
+  const HISTORY_STORAGE_KEY = "navSqlFormatter.history";
+  const HISTORY_LIMIT = 50;
+  // localStorage holds about 5 MB per origin; larger trace files are not copied into history.
+  const HISTORY_BATCH_MAX_LENGTH = 100000;
+  // A UI preference rather than input, so Clear leaves it alone.
+  const LIVE_PREVIEW_STORAGE_KEY = "navSqlFormatter.livePreview";
+  const LIVE_PREVIEW_DELAY_MS = 300;
+  // Captured while the script runs; document.currentScript is null by the time initUi runs.
+  const SCRIPT_URL = typeof document !== "undefined" && document.currentScript ? document.currentScript.src : null;
+  const SHARE_FRAGMENT_PREFIX = "share=";
+  // Chat tools and ticket systems start truncating or refusing links around this length.
+  const SHARE_LINK_WARN_LENGTH = 2000;
+  const INPUT_MODES = ["split", "call", "batch"];
+  const OUTPUT_MODES = ["declare", "inline", "executesql"];
+  const DEFAULT_FORMAT_OPTIONS = {
+    language: "transactsql",
+    keywordCase: "upper",
+    tabWidth: 2,
+    useTabs: false,
+    commaPosition: "trailing",
+    expressionWidth: 50,
+    linesBetweenQueries: 1,
+  };
+  const KEYWORD_CASES = ["upper", "lower", "preserve"];
+  const COMMA_POSITIONS = ["trailing", "leading"];
 
   /**
    * @typedef {Object} ParsedParam
@@ -18,16 +60,76 @@
    * @property {string} rawToken
    * @property {string | null} normalizedLiteral
    * @property {string | null} inferredType
+   * @property {string | null} declaredType
    * @property {boolean} confidence
    * @property {string | null} parseError
+   * @property {string | null} meaning NAV-specific reading of the value, e.g. "blank date".
+   * @property {string | null} schemaType Column type resolved from a loaded schema.
+   */
+
+  /**
+   * @typedef {Object} ParamDefinition
+   * @property {string} name
+   * @property {string} sqlType
+   * @property {boolean} isOutput
+   */
+
+  /**
+   * @typedef {Object} GenerateOptions
+   * @property {{format: (sql: string, options?: object) => string}} [formatter]
+   * @property {"declare" | "inline" | "executesql"} [mode] Output mode; defaults to "declare".
+   * @property {boolean} [sourceComments] Inline mode: append `/* @n *\/` after each inlined literal.
+   * @property {boolean} [navAnnotations] Resolve NAV/BC table names and prepend a table/alias comment header.
+   * @property {boolean} [narrowIntegers] Infer bit/tinyint/smallint for integers that fit.
+   * @property {SchemaInfo} [schema] Table metadata from parseSchema(); column types found in
+   *   simple predicates take precedence over inferred types (declared types still win).
+   * @property {FormatOptions} [formatOptions] Formatting settings merged over DEFAULT_FORMAT_OPTIONS.
+   * @property {boolean | RedactionRules} [redact] Replace parameter values with synthetic values of the same type.
+   */
+
+  /**
+   * @typedef {Object} FormatOptions
+   * @property {"upper" | "lower" | "preserve"} [keywordCase]
+   * @property {number} [tabWidth]
+   * @property {boolean} [useTabs]
+   * @property {"trailing" | "leading"} [commaPosition] Applied after formatting; the vendored
+   *   sql-formatter no longer supports it natively.
+   * @property {number} [expressionWidth]
+   * @property {number} [linesBetweenQueries]
+   */
+
+  /**
+   * @typedef {Object} SourceRange
+   * @property {number} start
+   * @property {number} end
+   */
+
+  /**
+   * @typedef {Object} Diagnostic
+   * @property {string} code Stable identifier, one of the WARNING_SEVERITIES keys.
+   * @property {"info" | "warning" | "error"} severity
+   * @property {string} message Same text as the matching entry in `warnings`.
+   * @property {string | null} param Placeholder the diagnostic is about.
+   * @property {SourceRange | null} sqlRange First use of param in the SQL input (split input only).
+   * @property {SourceRange | null} execRange Assignment of param in the EXEC or single-call input.
+   * @property {number} [statement] Statement number, set on generateBatch() diagnostics and on
+   *   diagnostics of one statement in a multi-statement query.
+   * @property {number} [innerStatement] Statement number within the query, kept by generateBatch()
+   *   when `statement` is replaced with the batch statement number.
    */
 
   /**
    * @typedef {Object} GenerationResult
-   * @property {"declare"} mode
+   * @property {"declare" | "inline" | "executesql"} mode
    * @property {string} outputSql
-   * @property {string[]} warnings
+   * @property {string[]} warnings Diagnostic messages, kept for callers that match on text.
+   * @property {Diagnostic[]} diagnostics
    * @property {ParsedParam[]} params
+   * @property {NavObjects | null} navObjects Set when the navAnnotations option is on.
+   * @property {StatementAnalysis} analysis
+   * @property {number} statementCount Statements found in the SQL input, across all batches.
+   * @property {number} batchCount GO-separated batches; each one gets its own DECLARE block.
+   * @property {string[]} fallbackParams Placeholders whose type fell back to sql_variant.
    */
 
   function normalizeParamName(name) {
@@ -46,6 +148,67 @@
     return Array.from(new Set(items.filter(Boolean)));
   }
 
+  const WARNING_SEVERITIES = {
+    EMPTY_EXEC: "error",
+    NO_ASSIGNMENTS: "warning",
+    DUPLICATE_ASSIGNMENT: "warning",
+    DECLARED_TYPE_MISMATCH: "warning",
+    EMPTY_CALL: "error",
+    NO_CALL_FOUND: "error",
+    NO_STATEMENT_TEXT: "error",
+    UNMATCHED_POSITIONAL_VALUE: "warning",
+    NO_CALL_VALUES: "warning",
+    UNKNOWN_OUTPUT_MODE: "warning",
+    MISSING_VALUE: "error",
+    NO_LITERAL: "warning",
+    LOW_CONFIDENCE: "warning",
+    UNREFERENCED_EXEC_PARAM: "info",
+    SCHEMA_TYPE_RESOLVED: "info",
+    SCHEMA_TYPE_GUESSED: "info",
+    SCHEMA_TYPE_MISMATCH: "warning",
+    FORMATTER_UNAVAILABLE: "warning",
+    FORMATTER_FAILED: "warning",
+    UNKNOWN_HANDLE: "error",
+    NO_TRACE_CALLS: "error",
+    EXISTING_PLACEHOLDER: "warning",
+  };
+
+  const SEVERITIES = ["error", "warning", "info"];
+
+  /**
+   * @param {Diagnostic[]} diagnostics
+   * @param {string} code
+   * @param {string} message
+   * @param {string} [param]
+   */
+  function pushDiagnostic(diagnostics, code, message, param) {
+    diagnostics.push({
+      code,
+      severity: WARNING_SEVERITIES[code],
+      message,
+      param: param || null,
+      sqlRange: null,
+      execRange: null,
+    });
+  }
+
+  function dedupeDiagnostics(diagnostics) {
+    const seen = new Set();
+    return diagnostics.filter(function firstOfMessage(diagnostic) {
+      if (seen.has(diagnostic.message)) {
+        return false;
+      }
+      seen.add(diagnostic.message);
+      return true;
+    });
+  }
+
+  function diagnosticMessages(diagnostics) {
+    return diagnostics.map(function messageOnly(diagnostic) {
+      return diagnostic.message;
+    });
+  }
+
   function normalizeSqlLineBreaks(text) {
     let output = "";
     let i = 0;
@@ -154,6 +317,7 @@
 
   function splitByCommaOutsideStrings(input) {
     const segments = [];
+    let depth = 0;
     let start = 0;
     let i = 0;
 
@@ -162,7 +326,11 @@
         i = consumeSingleQuoted(input, i);
         continue;
       }
-      if (input[i] === ",") {
+      if (input[i] === "(") {
+        depth += 1;
+      } else if (input[i] === ")") {
+        depth = Math.max(0, depth - 1);
+      } else if (input[i] === "," && depth === 0) {
         segments.push(input.slice(start, i));
         start = i + 1;
       }
@@ -173,6 +341,27 @@
     return segments;
   }
 
+  function splitByCommaOutsideParens(input) {
+    const segments = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < input.length; i += 1) {
+      const char = input[i];
+      if (char === "(") {
+        depth += 1;
+      } else if (char === ")") {
+        depth = Math.max(0, depth - 1);
+      } else if (char === "," && depth === 0) {
+        segments.push(input.slice(start, i));
+        start = i + 1;
+      }
+    }
+
+    segments.push(input.slice(start));
+    return segments;
+  }
+
   function decodeSqlString(value) {
     return value.replace(/''/g, "'");
   }
@@ -192,12 +381,52 @@
     return `decimal(${precision},${scale})`;
   }
 
+  function isGuidString(value) {
+    return GUID_RE.test(value) || BRACED_GUID_RE.test(value);
+  }
+
+  function datetimeTypeFromValue(value) {
+    const fraction = value.match(/\.(\d+)$/);
+    return fraction && fraction[1].length > 3 ? `datetime2(${fraction[1].length})` : "datetime";
+  }
+
+  function integerTypeFromValue(value, narrowIntegers) {
+    if (narrowIntegers) {
+      if (value === 0n || value === 1n) {
+        return "bit";
+      }
+      if (value >= 0n && value <= TINYINT_MAX) {
+        return "tinyint";
+      }
+      if (value >= SMALLINT_MIN && value <= SMALLINT_MAX) {
+        return "smallint";
+      }
+    }
+    return value >= INT32_MIN && value <= INT32_MAX ? "int" : "bigint";
+  }
+
+  function explicitCastType(token) {
+    const match = token.match(CAST_RE) || token.match(CONVERT_RE);
+    if (!match) {
+      return null;
+    }
+    return match[1]
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .replace(/\s*([(),])\s*/g, "$1");
+  }
+
   /**
+   * String lengths are measured in UTF-16 code units (JavaScript string length), which
+   * is how SQL Server counts nvarchar characters: a surrogate pair takes two.
    * @param {string} rawToken
+   * @param {{narrowIntegers?: boolean}} [options] narrowIntegers picks bit/tinyint/smallint when the value fits.
    * @returns {{normalizedLiteral: string | null, inferredType: string | null, confidence: boolean, parseError: string | null}}
    */
-  function parseValueToken(rawToken) {
+  function parseValueToken(rawToken, options) {
     const token = rawToken.trim();
+    const narrowIntegers = Boolean(options && options.narrowIntegers);
 
     if (!token) {
       return {
@@ -217,10 +446,23 @@
       };
     }
 
+    const castType = explicitCastType(token);
+    if (castType) {
+      return {
+        normalizedLiteral: token,
+        inferredType: castType,
+        confidence: true,
+        parseError: null,
+      };
+    }
+
     if (/^N'(?:[^']|'')*'$/.test(token)) {
       const value = decodeSqlString(token.slice(2, -1));
       const len = Math.max(1, value.length);
-      const inferredType = len > 4000 ? "nvarchar(max)" : `nvarchar(${len})`;
+      let inferredType = len > 4000 ? "nvarchar(max)" : `nvarchar(${len})`;
+      if (isGuidString(value)) {
+        inferredType = "uniqueidentifier";
+      }
       return {
         normalizedLiteral: token,
         inferredType,
@@ -234,7 +476,9 @@
       let inferredType;
 
       if (DATETIME_RE.test(value)) {
-        inferredType = "datetime";
+        inferredType = datetimeTypeFromValue(value);
+      } else if (isGuidString(value)) {
+        inferredType = "uniqueidentifier";
       } else if (DATE_RE.test(value)) {
         inferredType = "date";
       } else if (TIME_RE.test(value)) {
@@ -274,8 +518,7 @@
 
     if (/^[+-]?\d+$/.test(token)) {
       try {
-        const value = BigInt(token);
-        const inferredType = value >= INT32_MIN && value <= INT32_MAX ? "int" : "bigint";
+        const inferredType = integerTypeFromValue(BigInt(token), narrowIntegers);
         return {
           normalizedLiteral: token,
           inferredType,
@@ -310,6 +553,15 @@
       };
     }
 
+    if (FLOAT_RE.test(token)) {
+      return {
+        normalizedLiteral: token,
+        inferredType: "float",
+        confidence: true,
+        parseError: null,
+      };
+    }
+
     return {
       normalizedLiteral: token,
       inferredType: null,
@@ -318,6 +570,112 @@
     };
   }
 
+  /**
+   * Parses a parameter-definition string such as `@0 nvarchar(20),@1 int`
+   * (the decoded content of the sp_prepexec / sp_executesql definition argument).
+   * @param {string} definitionText
+   * @returns {Map<string, ParamDefinition> | null} null when the text is not a definition list.
+   */
+  function parseParameterDefinitions(definitionText) {
+    if (typeof definitionText !== "string" || !definitionText.trim()) {
+      return null;
+    }
+
+    const definitions = new Map();
+
+    for (const segment of splitByCommaOutsideParens(definitionText)) {
+      const match = segment
+        .trim()
+        .match(/^(@[A-Za-z0-9_#$]+)\s+([A-Za-z][\s\S]*?)(?:\s+(output|out))?$/i);
+      if (!match || !isTracePlaceholder(match[1])) {
+        return null;
+      }
+
+      definitions.set(normalizeParamName(match[1]), {
+        name: match[1],
+        sqlType: match[2].replace(/\s+/g, " ").replace(/\s*([(),])\s*/g, "$1"),
+        isOutput: Boolean(match[3]),
+      });
+    }
+
+    return definitions;
+  }
+
+  function parseDefinitionSegment(segment) {
+    const match = segment.trim().match(/^N?'((?:[^']|'')*)'$/i);
+    if (!match) {
+      return null;
+    }
+    return parseParameterDefinitions(decodeSqlString(match[1]));
+  }
+
+  function baseTypeName(sqlType) {
+    return sqlType.replace(/\(.*$/, "").trim().toLowerCase();
+  }
+
+  function declaredTypeLength(sqlType) {
+    const match = sqlType.match(/\(\s*(\d+)\s*\)$/);
+    return match ? Number.parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Checks whether a parsed literal can be assigned to a declared type without
+   * an obvious conversion problem.
+   * @param {ParsedParam} parsed
+   * @param {string} declaredType
+   * @returns {string | null} Reason for the mismatch, or null when compatible.
+   */
+  function checkLiteralAgainstType(parsed, declaredType) {
+    const literal = parsed.normalizedLiteral;
+    if (!literal || /^null$/i.test(literal)) {
+      return null;
+    }
+
+    const base = baseTypeName(declaredType);
+    const isString = /^N?'/i.test(literal);
+    const isBinary = /^0x/i.test(literal);
+    const isInteger = /^[+-]?\d+$/.test(literal);
+    const isNumeric = isInteger || /^[+-]?(?:\d+\.\d*|\.\d+)$/.test(literal) || FLOAT_RE.test(literal);
+
+    if (explicitCastType(literal)) {
+      return null;
+    }
+
+    if (/^(?:n?char|n?varchar)$/.test(base)) {
+      if (!isString) {
+        return "expected a string literal";
+      }
+      const length = declaredTypeLength(declaredType);
+      const value = decodeSqlString(literal.replace(/^N/i, "").slice(1, -1));
+      if (length !== null && value.length > length) {
+        return `value length ${value.length} exceeds ${declaredType}`;
+      }
+      return null;
+    }
+
+    if (/^(?:date|time|datetime|datetime2|smalldatetime|datetimeoffset|uniqueidentifier)$/.test(base)) {
+      return isString ? null : "expected a quoted string literal";
+    }
+
+    if (/^(?:binary|varbinary|image|timestamp|rowversion)$/.test(base)) {
+      return isBinary ? null : "expected a binary (0x...) literal";
+    }
+
+    if (/^(?:tinyint|smallint|int|bigint|bit)$/.test(base)) {
+      return isInteger ? null : "expected an integer literal";
+    }
+
+    if (/^(?:decimal|numeric|money|smallmoney|float|real)$/.test(base)) {
+      return isNumeric ? null : "expected a numeric literal";
+    }
+
+    return null;
+  }
+
+  function isOutputMarker(segment) {
+    return /^@[A-Za-z0-9_#$]+\s+out(?:put)?$/i.test(segment.trim());
+  }
+
   function parseAssignmentSegment(segment) {
     const trimmed = segment.trim();
     if (!trimmed) {
@@ -340,32 +698,86 @@
     };
   }
 
+  function formatSqlServerGuid(hexDigits) {
+    const bytes = hexDigits.match(/../g);
+    const reordered = [
+      bytes.slice(0, 4).reverse(),
+      bytes.slice(4, 6).reverse(),
+      bytes.slice(6, 8).reverse(),
+      bytes.slice(8, 10),
+      bytes.slice(10, 16),
+    ].map(function joinGroup(group) {
+      return group.join("");
+    });
+    return `{${reordered.join("-").toUpperCase()}}`;
+  }
+
   /**
-   * @param {string} execText
-   * @returns {{params: Map<string, ParsedParam>, warnings: string[]}}
+   * Recognises NAV storage conventions in a literal: 1753-01-01 is the blank date,
+   * 9999-12-31 the max date, 1754-01-01 carries a Time value, 16-byte binaries are
+   * usually GUIDs and 8-byte binaries timestamp/rowversion values.
+   * @param {string | null} literal
+   * @returns {string | null}
    */
-  function parseExecStatement(execText) {
-    const warnings = [];
-    const params = new Map();
+  function describeNavLiteral(literal) {
+    if (!literal) {
+      return null;
+    }
 
-    if (!execText || !execText.trim()) {
-      warnings.push("EXEC statement is empty.");
-      return { params, warnings };
+    const stringMatch = literal.match(/^N?'(.*)'$/i);
+    if (stringMatch) {
+      const value = stringMatch[1];
+      if (/^1753-01-01(?: 00:00:00(?:\.0+)?)?$/.test(value)) {
+        return "blank date";
+      }
+      if (/^9999-12-31(?: \d{2}:\d{2}:\d{2}(?:\.\d+)?)?$/.test(value)) {
+        return "max date";
+      }
+      const timeMatch = value.match(/^1754-01-01 (\d{2}:\d{2}:\d{2}(?:\.\d+)?)$/);
+      if (timeMatch) {
+        return `time ${timeMatch[1]}`;
+      }
+      return null;
     }
 
-    const segments = splitByCommaOutsideStrings(execText);
+    const hexMatch = literal.match(/^0x([0-9A-Fa-f]*)$/);
+    if (!hexMatch) {
+      return null;
+    }
 
-    for (const segment of segments) {
-      const assignment = parseAssignmentSegment(segment);
-      if (!assignment || !isTracePlaceholder(assignment.name)) {
-        continue;
-      }
+    const digits = hexMatch[1];
+    if (digits.length === 32) {
+      return /^0+$/.test(digits) ? "empty GUID" : `GUID ${formatSqlServerGuid(digits)}`;
+    }
+    if (digits.length === 16) {
+      return `rowversion ${literal} (${BigInt(literal).toString()})`;
+    }
+    return null;
+  }
+
+  /**
+   * Turns `@name = value` assignments into parsed parameters and applies the
+   * declared types from a parameter-definition string.
+   * @param {{name: string, valueToken: string}[]} assignments
+   * @param {Map<string, ParamDefinition>} definitions
+   * @param {Diagnostic[]} diagnostics
+   * @param {{narrowIntegers?: boolean}} [options]
+   * @returns {Map<string, ParsedParam>}
+   */
+  function resolveParams(assignments, definitions, diagnostics, options) {
+    const params = new Map();
 
-      const parsedValue = parseValueToken(assignment.valueToken);
+    for (const assignment of assignments) {
+      const parsedValue = parseValueToken(assignment.valueToken, options);
       const key = normalizeParamName(assignment.name);
 
       if (params.has(key)) {
-        warnings.push(`Duplicate assignment for ${assignment.name}; last value wins.`);
+        pushDiagnostic(
+          diagnostics,
+          "DUPLICATE_ASSIGNMENT",
+          `Duplicate assignment for ${assignment.name}; last value wins.`,
+          assignment.name,
+        );
       }
 
       params.set(key, {
@@ -373,19 +785,266 @@
         rawToken: assignment.valueToken,
         normalizedLiteral: parsedValue.normalizedLiteral,
         inferredType: parsedValue.inferredType,
+        declaredType: null,
         confidence: parsedValue.confidence,
         parseError: parsedValue.parseError,
+        meaning: describeNavLiteral(parsedValue.normalizedLiteral),
+        schemaType: null,
       });
     }
 
-    if (params.size === 0) {
-      warnings.push("No parameter assignments were parsed from EXEC statement.");
+    for (const [key, param] of params.entries()) {
+      const definition = definitions.get(key);
+      if (!definition) {
+        continue;
+      }
+
+      param.declaredType = definition.sqlType;
+      const mismatch = checkLiteralAgainstType(param, definition.sqlType);
+      if (mismatch) {
+        pushDiagnostic(
+          diagnostics,
+          "DECLARED_TYPE_MISMATCH",
+          `Value ${param.rawToken} for ${param.name} does not match declared type ${definition.sqlType} (${mismatch}).`,
+          param.name,
+        );
+      }
+    }
+
+    return params;
+  }
+
+  /**
+   * Accepts named (`@0=5`) and, for `sp_execute <handle>, ...` and `sp_cursorexecute` calls, positional values;
+   * positional values are mapped onto @0, @1, ... in order.
+   * @param {string} execText
+   * @param {{definitions?: Map<string, ParamDefinition>, narrowIntegers?: boolean}} [options]
+   *   definitions: parameter definitions from an earlier sp_prepare.
+   * @returns {{handle: string | null, params: Map<string, ParsedParam>, definitions: Map<string, ParamDefinition>, warnings: string[], diagnostics: Diagnostic[]}}
+   */
+  function parseExecStatement(execText, options) {
+    const diagnostics = [];
+    const assignments = [];
+    let definitions = options && options.definitions ? options.definitions : null;
+
+    if (!execText || !execText.trim()) {
+      pushDiagnostic(diagnostics, "EMPTY_EXEC", "EXEC statement is empty.");
+      return {
+        handle: null,
+        params: new Map(),
+        definitions: definitions || new Map(),
+        warnings: diagnosticMessages(diagnostics),
+        diagnostics,
+      };
+    }
+
+    const segments = splitByCommaOutsideStrings(execText);
+    const executeMatch = segments[0].match(/\bexec(?:ute)?\s+(?:\[?\w+\]?\.)*\[?(sp_(?:cursor)?execute)\]?\s+([\s\S]*)$/i);
+    const handle = executeMatch ? executeMatch[2].trim() || null : null;
+    const firstValue = executeMatch ? EXECUTE_LAYOUTS[executeMatch[1].toLowerCase()].values : 0;
+    const positionalValues = [];
+
+    segments.forEach(function classify(segment, index) {
+      if (index < firstValue) {
+        return;
+      }
+
+      const assignment = parseAssignmentSegment(segment);
+      if (!assignment) {
+        if (executeMatch) {
+          if (segment.trim()) {
+            // An `@pN output` parameter takes its slot but has no value to assign.
+            positionalValues.push(isOutputMarker(segment) ? null : segment.trim().replace(/;$/, "").trimEnd());
+          }
+        } else if (!definitions) {
+          definitions = parseDefinitionSegment(segment);
+        }
+        return;
+      }
+
+      if (isTracePlaceholder(assignment.name)) {
+        assignments.push(assignment);
+      }
+    });
+
+    definitions = definitions || new Map();
+    const definitionNames = Array.from(definitions.values()).map(function nameOnly(definition) {
+      return definition.name;
+    });
+    positionalValues.forEach(function assignPositional(valueToken, index) {
+      if (valueToken !== null) {
+        assignments.push({ name: definitionNames[index] || `@${index}`, valueToken });
+      }
+    });
+
+    if (assignments.length === 0) {
+      pushDiagnostic(diagnostics, "NO_ASSIGNMENTS", "No parameter assignments were parsed from EXEC statement.");
     }
 
+    const params = resolveParams(assignments, definitions, diagnostics, options);
+    const uniqueDiagnostics = dedupeDiagnostics(diagnostics);
+
     return {
+      handle,
       params,
-      warnings: dedupeStrings(warnings),
+      definitions,
+      warnings: diagnosticMessages(uniqueDiagnostics),
+      diagnostics: uniqueDiagnostics,
+    };
+  }
+
+  /**
+   * Argument positions of the trace procedures that carry an embedded statement.
+   * `values` is the index of the first parameter value, or null when the call has none.
+   * The API cursor procedures put the cursor handle and the scroll, concurrency and
+   * row count options (usually `@pN output`) between the statement and the values.
+   */
+  const CALL_LAYOUTS = {
+    sp_executesql: { handle: null, definitions: 1, statement: 0, values: 2 },
+    sp_prepexec: { handle: 0, definitions: 1, statement: 2, values: 3 },
+    sp_prepare: { handle: 0, definitions: 1, statement: 2, values: null },
+    sp_cursorprepexec: { handle: 0, definitions: 2, statement: 3, values: 7 },
+    sp_cursorprepare: { handle: 0, definitions: 1, statement: 2, values: null },
+    sp_cursoropen: { handle: null, definitions: 5, statement: 1, values: 6 },
+  };
+
+  /**
+   * Argument positions of the procedures that run an earlier prepared statement by handle:
+   * `sp_execute handle, values...` and `sp_cursorexecute handle, cursor, scrollopt, ccopt, rowcount, values...`.
+   */
+  const EXECUTE_LAYOUTS = {
+    sp_execute: { handle: 0, definitions: null, statement: null, values: 1 },
+    sp_cursorexecute: { handle: 0, definitions: null, statement: null, values: 5 },
+  };
+
+  const NAMED_CALL_ARGUMENTS = {
+    "@stmt": "statement",
+    "@statement": "statement",
+    "@params": "definitions",
+    "@handle": "handle",
+  };
+
+  function unquoteStringToken(token) {
+    const match = token.trim().match(/^N?'((?:[^']|'')*)'$/i);
+    return match ? decodeSqlString(match[1]) : null;
+  }
+
+  /**
+   * Splits a single `exec sp_executesql` / `sp_prepexec` / `sp_prepare` call, or a cursor
+   * call that carries a statement, into the embedded statement, its parameter-definition
+   * string and the parameter values.
+   * Positional values are named after the definition list, in order.
+   * @param {string} callText
+   * @returns {{procedure: string | null, handle: string | null, sqlText: string, definitionText: string | null, assignments: {name: string, valueToken: string}[], warnings: string[], diagnostics: Diagnostic[]}}
+   */
+  function parseProcedureCall(callText) {
+    const diagnostics = [];
+    const result = {
+      procedure: null,
+      handle: null,
+      sqlText: "",
+      definitionText: null,
+      assignments: [],
+      warnings: [],
+      diagnostics,
     };
+
+    function finish() {
+      result.warnings = diagnosticMessages(diagnostics);
+      return result;
+    }
+
+    if (typeof callText !== "string" || !callText.trim()) {
+      pushDiagnostic(diagnostics, "EMPTY_CALL", "Trace call is empty.");
+      return finish();
+    }
+
+    const callMatch = callText.match(/\bexec(?:ute)?\s+(?:\[?\w+\]?\.)*\[?(sp_\w+)\]?\s*/i);
+    const layout = callMatch ? CALL_LAYOUTS[callMatch[1].toLowerCase()] : null;
+    if (!layout) {
+      const procedure = callMatch ? callMatch[1].toLowerCase() : null;
+      pushDiagnostic(
+        diagnostics,
+        "NO_CALL_FOUND",
+        procedure && (EXECUTE_LAYOUTS[procedure] || CURSOR_ONLY_PROCEDURES.includes(procedure))
+          ? `The ${procedure} call carries no statement text; paste the call that prepared or opened it, or load the whole trace as a trace file.`
+          : "No sp_executesql, sp_prepexec, sp_prepare, sp_cursorprepexec, sp_cursorprepare or sp_cursoropen call was found in the trace text.",
+      );
+      return finish();
+    }
+
+    result.procedure = callMatch[1].toLowerCase();
+    const argumentText = callText.slice(callMatch.index + callMatch[0].length);
+    const args = splitByCommaOutsideStrings(argumentText).map(function trimArg(arg) {
+      return arg.trim();
+    });
+    const positional = [];
+
+    for (const arg of args) {
+      const named = arg.match(/^(@[A-Za-z0-9_#$]+)\s*=\s*([\s\S]*)$/);
+      const role = named ? NAMED_CALL_ARGUMENTS[named[1].toLowerCase()] : null;
+      if (role === "statement") {
+        result.sqlText = unquoteStringToken(named[2]) || "";
+      } else if (role === "definitions") {
+        result.definitionText = unquoteStringToken(named[2]);
+      } else if (!role) {
+        positional.push(arg);
+      }
+    }
+
+    const values = [];
+    positional.forEach(function assignRole(arg, index) {
+      if (index === layout.handle) {
+        result.handle = arg.replace(/\s+out(?:put)?$/i, "").trim() || null;
+      } else if (index === layout.statement && !result.sqlText) {
+        result.sqlText = unquoteStringToken(arg) || "";
+      } else if (index === layout.definitions && result.definitionText === null) {
+        result.definitionText = unquoteStringToken(arg);
+      } else if (layout.values !== null && index >= layout.values) {
+        values.push(arg);
+      }
+    });
+
+    if (!result.sqlText.trim()) {
+      pushDiagnostic(diagnostics, "NO_STATEMENT_TEXT", `No statement text was found in the ${result.procedure} call.`);
+    }
+
+    const definitions = parseParameterDefinitions(result.definitionText || "") || new Map();
+    const definitionNames = Array.from(definitions.values()).map(function nameOnly(definition) {
+      return definition.name;
+    });
+    let positionalIndex = 0;
+
+    for (const value of values) {
+      if (!value) {
+        continue;
+      }
+
+      const assignment = parseAssignmentSegment(value);
+      if (assignment) {
+        result.assignments.push(assignment);
+        continue;
+      }
+
+      const name = definitionNames[positionalIndex];
+      positionalIndex += 1;
+      // An `@pN output` parameter takes its slot but has no value to assign.
+      if (isOutputMarker(value)) {
+        continue;
+      }
+      if (!name) {
+        pushDiagnostic(
+          diagnostics,
+          "UNMATCHED_POSITIONAL_VALUE",
+          `Positional value ${value} has no matching entry in the parameter definitions.`,
+        );
+        continue;
+      }
+
+      result.assignments.push(parseAssignmentSegment(`${name}=${value}`));
+    }
+
+    return finish();
   }
 
   function transformSqlParameters(sqlText, transformFn) {
@@ -506,182 +1165,4020 @@
       });
   }
 
-  function replaceSqlParameters(sqlText, paramsByKey) {
+  /**
+   * Replaces placeholders with their literal values for inline output. Placeholders without
+   * a literal are left in place.
+   * @param {string} sqlText
+   * @param {Map<string, ParsedParam>} paramsByKey
+   * @param {{sourceComments?: boolean}} [options] sourceComments appends `/* @0: meaning *\/` to each value.
+   * @returns {string}
+   */
+  function replaceSqlParameters(sqlText, paramsByKey, options) {
+    const sourceComments = Boolean(options && options.sourceComments);
     return transformSqlParameters(sqlText, function replace(token, key) {
       const parsed = paramsByKey.get(key);
       if (!parsed || !parsed.normalizedLiteral) {
         return null;
       }
-      return parsed.normalizedLiteral;
+      if (!sourceComments) {
+        return parsed.normalizedLiteral;
+      }
+      const source = parsed.meaning ? `${token}: ${parsed.meaning}` : token;
+      return `${parsed.normalizedLiteral} /* ${source} */`;
     });
   }
 
-  function applyFormatting(sqlText, warnings, formatterOverride) {
-    if (!sqlText || !sqlText.trim()) {
-      return sqlText;
-    }
+  /**
+   * @typedef {Object} SqlToken
+   * @property {"identifier" | "word" | "param" | "string" | "number" | "operator" | "punctuation" | "comment"} type
+   * @property {string} value Decoded identifier name for quoted identifiers, raw text otherwise.
+   * @property {number} start
+   * @property {number} end
+   */
 
-    const formatter = formatterOverride || global.sqlFormatter;
-    if (!formatter || typeof formatter.format !== "function") {
-      warnings.push("SQL formatter is unavailable; output was left unformatted.");
-      return sqlText;
+  /**
+   * Splits SQL into tokens using the same quoted-string, identifier and comment rules
+   * as transformSqlParameters. Whitespace is dropped.
+   * @param {string} sqlText
+   * @returns {SqlToken[]}
+   */
+  function tokenizeSql(sqlText) {
+    const tokens = [];
+    let i = 0;
+
+    function push(type, start, end, value) {
+      tokens.push({ type, value: value === undefined ? sqlText.slice(start, end) : value, start, end });
     }
 
-    try {
-      return formatter.format(sqlText, {
-        language: "transactsql",
-        keywordCase: "upper",
-      });
-    } catch (error) {
-      const message = error && error.message ? ` (${error.message})` : "";
-      warnings.push(`SQL formatter failed; output was left unformatted.${message}`);
+    while (i < sqlText.length) {
+      const char = sqlText[i];
+      const next = sqlText[i + 1] || "";
+
+      if (/\s/.test(char)) {
+        i += 1;
+        continue;
+      }
+
+      if (char === "'" || ((char === "N" || char === "n") && next === "'")) {
+        const end = consumeSingleQuoted(sqlText, char === "'" ? i : i + 1);
+        push("string", i, end);
+        i = end;
+        continue;
+      }
+
+      if (char === '"' || char === "[") {
+        const end = char === '"' ? consumeDoubleQuoted(sqlText, i) : consumeBracketIdentifier(sqlText, i);
+        const closing = char === '"' ? '"' : "]";
+        const inner = sqlText.slice(i + 1, sqlText[end - 1] === closing ? end - 1 : end);
+        push("identifier", i, end, inner.split(closing + closing).join(closing));
+        i = end;
+        continue;
+      }
+
+      if (char === "-" && next === "-") {
+        const end = consumeLineComment(sqlText, i);
+        push("comment", i, end);
+        i = end;
+        continue;
+      }
+
+      if (char === "/" && next === "*") {
+        const end = consumeBlockComment(sqlText, i);
+        push("comment", i, end);
+        i = end;
+        continue;
+      }
+
+      if (char === "@" && isIdentifierChar(next)) {
+        let end = i + 1;
+        while (end < sqlText.length && isIdentifierChar(sqlText[end])) {
+          end += 1;
+        }
+        const token = sqlText.slice(i, end);
+        push(isTracePlaceholder(token) ? "param" : "word", i, end);
+        i = end;
+        continue;
+      }
+
+      const numberMatch = sqlText.slice(i).match(/^(?:0x[0-9A-Fa-f]*|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/);
+      if (numberMatch) {
+        push("number", i, i + numberMatch[0].length);
+        i += numberMatch[0].length;
+        continue;
+      }
+
+      const wordMatch = sqlText.slice(i).match(/^[A-Za-z_#][A-Za-z0-9_#$]*/);
+      if (wordMatch) {
+        push("word", i, i + wordMatch[0].length);
+        i += wordMatch[0].length;
+        continue;
+      }
+
+      const operatorMatch = sqlText.slice(i).match(/^(?:<=|>=|<>|!=|!<|!>|[=<>+\-*/%&|^~])/);
+      if (operatorMatch) {
+        push("operator", i, i + operatorMatch[0].length);
+        i += operatorMatch[0].length;
+        continue;
+      }
+
+      push("punctuation", i, i + 1);
+      i += 1;
+    }
+
+    return tokens;
+  }
+
+  const HIGHLIGHT_KEYWORDS = new Set([
+    "ADD", "ALL", "AND", "AS", "ASC", "BEGIN", "BETWEEN", "BY", "CASE", "CAST", "COLLATE", "CONVERT",
+    "CROSS", "DECLARE", "DELETE", "DESC", "DISTINCT", "ELSE", "END", "EXEC", "EXECUTE", "EXISTS",
+    "FETCH", "FOR", "FROM", "FULL", "GO", "GROUP", "HAVING", "IN", "INNER", "INSERT", "INTO", "IS",
+    "JOIN", "LEFT", "LIKE", "NEXT", "NOLOCK", "NOT", "NULL", "OFFSET", "ON", "ONLY", "OPTION", "OR",
+    "ORDER", "OUTER", "OUTPUT", "READUNCOMMITTED", "RIGHT", "ROWS", "SELECT", "SET", "THEN", "TOP",
+    "UNION", "UPDATE", "UPDLOCK", "USE", "VALUES", "WHEN", "WHERE", "WITH",
+  ]);
+
+  /**
+   * @typedef {Object} HighlightSegment
+   * @property {string} text
+   * @property {"keyword" | "identifier" | "param" | "string" | "number" | "operator" | "comment" | null} className
+   * @property {string} [paramKey] Normalized placeholder name; set for param segments only.
+   */
+
+  /**
+   * Splits SQL into display segments for the highlighted output view. The segments
+   * concatenate back to sqlText; whitespace and punctuation are unclassed.
+   * @param {string} sqlText
+   * @returns {HighlightSegment[]}
+   */
+  function highlightSql(sqlText) {
+    const segments = [];
+    let position = 0;
+
+    function pushText(end) {
+      if (end > position) {
+        segments.push({ text: sqlText.slice(position, end), className: null });
+      }
+    }
+
+    for (const token of tokenizeSql(sqlText)) {
+      pushText(token.start);
+      const text = sqlText.slice(token.start, token.end);
+      if (token.type === "param") {
+        segments.push({ text, className: "param", paramKey: normalizeParamName(text) });
+      } else if (token.type === "word") {
+        segments.push({ text, className: HIGHLIGHT_KEYWORDS.has(text.toUpperCase()) ? "keyword" : null });
+      } else {
+        segments.push({ text, className: token.type === "punctuation" ? null : token.type });
+      }
+      position = token.end;
+    }
+    pushText(sqlText.length);
+
+    return segments;
+  }
+
+  /**
+   * Finds where a parameter is assigned in an EXEC text (`@7=N'...'`), so the UI can
+   * jump from the output back to the input. Positional values are matched to names the
+   * way parseExecStatement() and parseProcedureCall() do: by the definition string of
+   * the call, or for sp_execute by `definitions`, else `@0..@n` in slot order.
+   * @param {string} execText
+   * @param {string} name Placeholder name, any case.
+   * @param {Map<string, ParamDefinition>} [definitions] Definitions of the prepared statement, for sp_execute.
+   * @returns {{start: number, end: number} | null} Offsets of the name token, or of the value for positional values.
+   */
+  function findAssignmentOffset(execText, name, definitions) {
+    const text = execText || "";
+    const key = normalizeParamName(name);
+    const tokens = tokenizeSql(text).filter(function notComment(token) {
+      return token.type !== "comment";
+    });
+
+    for (let i = 0; i < tokens.length; i += 1) {
+      const token = tokens[i];
+      const next = tokens[i + 1];
+      if (token.type === "param" && normalizeParamName(token.value) === key && next && next.value === "=") {
+        return { start: token.start, end: token.end };
+      }
+    }
+
+    const procedureIndex = tokens.findIndex(function isProcedure(token) {
+      const procedure = token.type === "word" ? token.value.toLowerCase() : "";
+      return Boolean(CALL_LAYOUTS[procedure] || EXECUTE_LAYOUTS[procedure]);
+    });
+    if (procedureIndex === -1) {
+      return null;
+    }
+    const procedure = tokens[procedureIndex].value.toLowerCase();
+    const layout = CALL_LAYOUTS[procedure] || EXECUTE_LAYOUTS[procedure];
+    if (layout.values === null) {
+      return null;
+    }
+
+    const argumentRanges = [];
+    let current = null;
+    let depth = 0;
+    for (let i = procedureIndex + 1; i < tokens.length; i += 1) {
+      const token = tokens[i];
+      if (depth === 0 && (token.value === "," || token.value === ";")) {
+        argumentRanges.push(current);
+        current = null;
+        if (token.value === ";") {
+          break;
+        }
+        continue;
+      }
+      if (token.value === "(") {
+        depth += 1;
+      } else if (token.value === ")") {
+        depth -= 1;
+      }
+      current = current ? { start: current.start, end: token.end } : { start: token.start, end: token.end };
+    }
+    if (current) {
+      argumentRanges.push(current);
+    }
+
+    const definitionRange = layout.definitions === null ? null : argumentRanges[layout.definitions];
+    const callDefinitions = definitionRange
+      ? parseDefinitionSegment(text.slice(definitionRange.start, definitionRange.end))
+      : null;
+    const names = Array.from((callDefinitions || definitions || new Map()).values()).map(function nameOnly(definition) {
+      return definition.name;
+    });
+
+    let slot = 0;
+    for (const range of argumentRanges.slice(layout.values)) {
+      const segment = range ? text.slice(range.start, range.end) : "";
+      if (!segment || parseAssignmentSegment(segment)) {
+        continue;
+      }
+      // An `@pN output` parameter takes its slot but has no value to find.
+      const slotName = names[slot] || (layout.definitions === null ? `@${slot}` : "");
+      if (!isOutputMarker(segment) && normalizeParamName(slotName) === key) {
+        return range;
+      }
+      slot += 1;
+    }
+
+    return null;
+  }
+
+  const COMPARISON_OPERATORS = ["=", "<>", "!=", "<", ">", "<=", ">=", "!<", "!>"];
+
+  function isNameToken(token) {
+    return Boolean(token) && (token.type === "identifier" || (token.type === "word" && !/^@/.test(token.value)));
+  }
+
+  /**
+   * Reads a possibly qualified name (`"T"."No_"`, `dbo.Item.No_`) starting at index.
+   * @returns {{parts: string[], end: number} | null} end is the index after the name.
+   */
+  function readQualifiedName(tokens, index) {
+    if (!isNameToken(tokens[index])) {
+      return null;
+    }
+
+    const parts = [tokens[index].value];
+    let end = index + 1;
+    while (tokens[end] && tokens[end].value === "." && isNameToken(tokens[end + 1])) {
+      parts.push(tokens[end + 1].value);
+      end += 2;
+    }
+    return { parts, end };
+  }
+
+  function isKeyword(token, keyword) {
+    return Boolean(token) && token.type === "word" && token.value.toUpperCase() === keyword;
+  }
+
+  /**
+   * Finds simple predicates that tie a placeholder to a column:
+   * `column op @n`, `@n op column`, `column [NOT] IN (@n, ...)`, `column [NOT] BETWEEN @a AND @b`
+   * and `column [NOT] LIKE @n`.
+   * @param {string} sqlText
+   * @returns {{column: string[], param: string, key: string}[]} column holds the name parts.
+   */
+  function collectColumnPredicates(sqlText) {
+    const tokens = tokenizeSql(sqlText).filter(function notComment(token) {
+      return token.type !== "comment";
+    });
+    const predicates = [];
+
+    function add(column, paramToken) {
+      predicates.push({ column, param: paramToken.value, key: normalizeParamName(paramToken.value) });
+    }
+
+    for (let i = 0; i < tokens.length; i += 1) {
+      const token = tokens[i];
+
+      if (token.type === "param") {
+        const operator = tokens[i + 1];
+        if (operator && operator.type === "operator" && COMPARISON_OPERATORS.includes(operator.value)) {
+          const name = readQualifiedName(tokens, i + 2);
+          const after = name ? tokens[name.end] : null;
+          if (name && !(after && after.value === "(")) {
+            add(name.parts, token);
+          }
+        }
+        continue;
+      }
+
+      const name = readQualifiedName(tokens, i);
+      if (!name || (tokens[i - 1] && tokens[i - 1].value === ".")) {
+        continue;
+      }
+
+      let cursor = name.end;
+      if (isKeyword(tokens[cursor], "NOT")) {
+        cursor += 1;
+      }
+      const next = tokens[cursor];
+      if (!next) {
+        continue;
+      }
+
+      if (next.type === "operator" && COMPARISON_OPERATORS.includes(next.value)) {
+        if (tokens[cursor + 1] && tokens[cursor + 1].type === "param") {
+          add(name.parts, tokens[cursor + 1]);
+        }
+      } else if (isKeyword(next, "LIKE")) {
+        if (tokens[cursor + 1] && tokens[cursor + 1].type === "param") {
+          add(name.parts, tokens[cursor + 1]);
+        }
+      } else if (isKeyword(next, "BETWEEN")) {
+        const low = tokens[cursor + 1];
+        const high = tokens[cursor + 3];
+        if (low && low.type === "param") {
+          add(name.parts, low);
+        }
+        if (isKeyword(tokens[cursor + 2], "AND") && high && high.type === "param") {
+          add(name.parts, high);
+        }
+      } else if (isKeyword(next, "IN") && tokens[cursor + 1] && tokens[cursor + 1].value === "(") {
+        for (let j = cursor + 2; j < tokens.length && tokens[j].value !== ")"; j += 1) {
+          if (tokens[j].type === "param") {
+            add(name.parts, tokens[j]);
+          }
+        }
+      }
+
+      i = name.end - 1;
+    }
+
+    return predicates;
+  }
+
+  /**
+   * @typedef {Object} SchemaInfo
+   * @property {Map<string, Map<string, {table: string, column: string, sqlType: string}>>} tables
+   *   Keyed by lower-case table name, then lower-case column name.
+   * @property {string[]} warnings
+   */
+
+  function schemaNameKey(name) {
+    return String(name).toLowerCase();
+  }
+
+  function addSchemaColumn(schema, table, column, sqlType) {
+    const tableKey = schemaNameKey(table);
+    if (!schema.tables.has(tableKey)) {
+      schema.tables.set(tableKey, new Map());
+    }
+    schema.tables.get(tableKey).set(schemaNameKey(column), { table, column, sqlType });
+  }
+
+  function columnTypeFromMetadata(row) {
+    const dataType = String(row.data_type || "").trim().toLowerCase();
+    if (!dataType) {
+      return null;
+    }
+
+    const maxLength = row.character_maximum_length;
+    if (/^(?:n?char|n?varchar|binary|varbinary)$/.test(dataType) && maxLength !== undefined && maxLength !== null && maxLength !== "") {
+      return `${dataType}(${String(maxLength) === "-1" ? "max" : maxLength})`;
+    }
+
+    if (/^(?:decimal|numeric)$/.test(dataType) && row.numeric_precision) {
+      return `${dataType}(${row.numeric_precision},${row.numeric_scale || 0})`;
+    }
+
+    if (/^(?:datetime2|time|datetimeoffset)$/.test(dataType) && row.datetime_precision !== undefined && row.datetime_precision !== null && row.datetime_precision !== "") {
+      return `${dataType}(${row.datetime_precision})`;
+    }
+
+    return dataType;
+  }
+
+  function addMetadataRows(schema, rows) {
+    for (const rawRow of rows) {
+      const row = {};
+      for (const key of Object.keys(rawRow || {})) {
+        row[key.toLowerCase()] = rawRow[key];
+      }
+
+      const sqlType = columnTypeFromMetadata(row);
+      if (!row.table_name || !row.column_name || !sqlType) {
+        schema.warnings.push("Skipped a schema row without TABLE_NAME, COLUMN_NAME or DATA_TYPE.");
+        continue;
+      }
+      addSchemaColumn(schema, String(row.table_name), String(row.column_name), sqlType);
+    }
+  }
+
+  function parseCsvRows(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [",", ";", "\t"].reduce(function mostFrequent(best, candidate) {
+      return firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best;
+    }, ",");
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i += 1) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") {
+          i += 1;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(function hasContent(cells) {
+      return cells.some(Boolean);
+    });
+    const header = nonEmpty.shift() || [];
+    return nonEmpty.map(function toObject(cells) {
+      const record = {};
+      header.forEach(function assign(name, index) {
+        record[name.trim()] = cells[index] === "NULL" ? null : cells[index];
+      });
+      return record;
+    });
+  }
+
+  function addCreateTableScript(schema, text) {
+    const tokens = tokenizeSql(text).filter(function notComment(token) {
+      return token.type !== "comment";
+    });
+
+    for (let i = 0; i < tokens.length; i += 1) {
+      if (!isKeyword(tokens[i], "CREATE") || !isKeyword(tokens[i + 1], "TABLE")) {
+        continue;
+      }
+
+      const tableName = readQualifiedName(tokens, i + 2);
+      if (!tableName || !tokens[tableName.end] || tokens[tableName.end].value !== "(") {
+        continue;
+      }
+
+      const table = tableName.parts[tableName.parts.length - 1];
+      let depth = 0;
+      let definition = [];
+      let j = tableName.end + 1;
+
+      for (; j < tokens.length; j += 1) {
+        const token = tokens[j];
+        if (token.value === "(") {
+          depth += 1;
+        } else if (token.value === ")" && depth > 0) {
+          depth -= 1;
+        } else if ((token.value === "," || token.value === ")") && depth === 0) {
+          addColumnDefinition(schema, table, definition, text);
+          definition = [];
+          if (token.value === ")") {
+            break;
+          }
+          continue;
+        }
+        definition.push(token);
+      }
+
+      i = j;
+    }
+  }
+
+  function addColumnDefinition(schema, table, definition, text) {
+    const name = definition[0];
+    const typeToken = definition[1];
+    if (!isNameToken(name) || !isNameToken(typeToken)) {
+      return;
+    }
+    if (name.type === "word" && /^(?:CONSTRAINT|PRIMARY|UNIQUE|INDEX|FOREIGN|CHECK|PERIOD)$/i.test(name.value)) {
+      return;
+    }
+
+    let typeEnd = typeToken.end;
+    if (definition[2] && definition[2].value === "(") {
+      const close = definition.findIndex(function isClose(token, index) {
+        return index > 2 && token.value === ")";
+      });
+      if (close !== -1) {
+        typeEnd = definition[close].end;
+      }
+    }
+
+    const sqlType = text
+      .slice(typeToken.start, typeEnd)
+      .replace(/[[\]"]/g, "")
+      .replace(/\s+/g, "")
+      .toLowerCase();
+    addSchemaColumn(schema, table, name.value, sqlType);
+  }
+
+  /**
+   * Loads table metadata from a JSON or CSV export of INFORMATION_SCHEMA.COLUMNS
+   * (TABLE_NAME, COLUMN_NAME, DATA_TYPE, CHARACTER_MAXIMUM_LENGTH, NUMERIC_PRECISION,
+   * NUMERIC_SCALE, DATETIME_PRECISION) or from a CREATE TABLE script.
+   * @param {string} schemaText
+   * @returns {SchemaInfo}
+   */
+  function parseSchema(schemaText) {
+    const schema = { tables: new Map(), warnings: [] };
+    const text = typeof schemaText === "string" ? schemaText.replace(/^\uFEFF/, "") : "";
+
+    if (!text.trim()) {
+      schema.warnings.push("Schema file is empty.");
+      return schema;
+    }
+
+    if (/^\s*[[{]/.test(text)) {
+      try {
+        const parsed = JSON.parse(text);
+        addMetadataRows(schema, Array.isArray(parsed) ? parsed : [parsed]);
+      } catch (error) {
+        schema.warnings.push(`Schema JSON could not be parsed (${error.message}).`);
+      }
+    } else if (/\bcreate\s+table\b/i.test(text)) {
+      addCreateTableScript(schema, text);
+    } else {
+      addMetadataRows(schema, parseCsvRows(text));
+    }
+
+    if (schema.tables.size === 0) {
+      schema.warnings.push("No table columns were found in the schema file.");
+    }
+    schema.warnings = dedupeStrings(schema.warnings);
+    return schema;
+  }
+
+  /**
+   * Maps placeholders to the exact type of the column they are compared with.
+   * Qualified names use the named table when the schema knows it; otherwise the
+   * column is looked up in the schema tables referenced by the statement and only
+   * used when exactly one of them has it.
+   * @param {string} sqlText
+   * @param {SchemaInfo} schema
+   * @returns {Map<string, {sqlType: string, table: string, column: string}>}
+   */
+  function resolveSchemaTypes(sqlText, schema) {
+    const resolved = new Map();
+    const ambiguous = new Set();
+    if (!schema || !schema.tables || schema.tables.size === 0) {
+      return resolved;
+    }
+
+    const referencedTables = dedupeStrings(tokenizeSql(sqlText)
+      .filter(function isTableName(token) {
+        return isNameToken(token) && schema.tables.has(schemaNameKey(token.value));
+      })
+      .map(function tableKey(token) {
+        return schemaNameKey(token.value);
+      }));
+
+    for (const predicate of collectColumnPredicates(sqlText)) {
+      const columnKey = schemaNameKey(predicate.column[predicate.column.length - 1]);
+      const qualifier = predicate.column.length > 1
+        ? schemaNameKey(predicate.column[predicate.column.length - 2])
+        : null;
+      const candidateTables = qualifier && schema.tables.has(qualifier) ? [qualifier] : referencedTables;
+      const matches = candidateTables
+        .map(function lookup(tableKey) {
+          return schema.tables.get(tableKey).get(columnKey);
+        })
+        .filter(Boolean);
+
+      if (matches.length !== 1) {
+        continue;
+      }
+
+      const existing = resolved.get(predicate.key);
+      if (existing && existing.sqlType !== matches[0].sqlType) {
+        ambiguous.add(predicate.key);
+        continue;
+      }
+      resolved.set(predicate.key, matches[0]);
+    }
+
+    for (const key of ambiguous) {
+      resolved.delete(key);
+    }
+    return resolved;
+  }
+
+  /**
+   * Adds schema column types as definitions for placeholders that have no declared type,
+   * and reports which placeholders were resolved from the schema and which are guessed.
+   */
+  function applySchemaTypes(safeSql, sqlParams, parseResult, schema, diagnostics) {
+    const schemaTypes = resolveSchemaTypes(safeSql, schema);
+    const definitions = new Map(parseResult.definitions);
+
+    for (const sqlParam of sqlParams) {
+      if (definitions.has(sqlParam.key)) {
+        continue;
+      }
+
+      const match = schemaTypes.get(sqlParam.key);
+      if (!match) {
+        pushDiagnostic(
+          diagnostics,
+          "SCHEMA_TYPE_GUESSED",
+          `Type for ${sqlParam.name} is still guessed; no schema column matched.`,
+          sqlParam.name,
+        );
+        continue;
+      }
+
+      definitions.set(sqlParam.key, { name: sqlParam.name, sqlType: match.sqlType, isOutput: false });
+      pushDiagnostic(
+        diagnostics,
+        "SCHEMA_TYPE_RESOLVED",
+        `Type for ${sqlParam.name} resolved from schema column ${match.table}.${match.column} (${match.sqlType}).`,
+        sqlParam.name,
+      );
+
+      const parsed = parseResult.params.get(sqlParam.key);
+      if (parsed) {
+        parsed.schemaType = match.sqlType;
+        const mismatch = checkLiteralAgainstType(parsed, match.sqlType);
+        if (mismatch) {
+          pushDiagnostic(
+            diagnostics,
+            "SCHEMA_TYPE_MISMATCH",
+            `Value ${parsed.rawToken} for ${parsed.name} does not match schema type ${match.sqlType} (${mismatch}).`,
+            parsed.name,
+          );
+        }
+      }
+    }
+
+    return Object.assign({}, parseResult, { definitions });
+  }
+
+  /**
+   * @typedef {Object} NavTable
+   * @property {string} identifier Full SQL table name, e.g. `CRONUS$Sales Line$437dbf0e-...`.
+   * @property {string | null} company
+   * @property {string} table
+   * @property {string | null} appId Extension app GUID for companion tables.
+   * @property {string} alias Suggested short alias.
+   */
+
+  /**
+   * @typedef {Object} NavObjects
+   * @property {string[]} companies
+   * @property {NavTable[]} tables
+   * @property {string[]} extensions
+   * @property {{column: string, alName: string}[]} fields Columns whose AL name differs from the SQL name.
+   */
+
+  function collectQuotedIdentifiers(sqlText) {
+    const identifiers = [];
+    let i = 0;
+
+    while (i < sqlText.length) {
+      const char = sqlText[i];
+
+      if (char === "'") {
+        i = consumeSingleQuoted(sqlText, i);
+        continue;
+      }
+
+      if (char === "-" && sqlText[i + 1] === "-") {
+        i = consumeLineComment(sqlText, i);
+        continue;
+      }
+
+      if (char === "/" && sqlText[i + 1] === "*") {
+        i = consumeBlockComment(sqlText, i);
+        continue;
+      }
+
+      if (char === '"' || char === "[") {
+        const end = char === '"' ? consumeDoubleQuoted(sqlText, i) : consumeBracketIdentifier(sqlText, i);
+        const closing = char === '"' ? '"' : "]";
+        const inner = sqlText.slice(i + 1, sqlText[end - 1] === closing ? end - 1 : end);
+        identifiers.push(inner.split(closing + closing).join(closing));
+        i = end;
+        continue;
+      }
+
+      i += 1;
+    }
+
+    return identifiers;
+  }
+
+  /**
+   * Splits a NAV/BC table name into company, table and extension app GUID.
+   * @param {string} identifier
+   * @returns {{company: string | null, table: string, appId: string | null} | null}
+   */
+  function parseNavTableName(identifier) {
+    const parts = identifier.split("$");
+    if (parts.length < 2 || parts.length > 3 || parts.some(function isEmpty(part) {
+      return !part;
+    })) {
+      return null;
+    }
+
+    const appId = GUID_RE.test(parts[parts.length - 1]) ? parts.pop() : null;
+    if (parts.length === 2) {
+      return { company: parts[0], table: parts[1], appId };
+    }
+    if (parts.length === 1 && appId) {
+      return { company: null, table: parts[0], appId };
+    }
+    return null;
+  }
+
+  function tableAlias(table, usedAliases) {
+    const words = table.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    const initials = words.map(function initial(word) {
+      return word[0];
+    });
+    const base = (initials.join("") || "T").toUpperCase();
+    let alias = base;
+    let suffix = 2;
+    while (usedAliases.has(alias)) {
+      alias = `${base}${suffix}`;
+      suffix += 1;
+    }
+    usedAliases.add(alias);
+    return alias;
+  }
+
+  /**
+   * Reverses NAV/BC name mangling in the quoted identifiers of a statement.
+   * Field names are a best-effort guess: NAV stores `.` as `_`, so a trailing
+   * `_` (as in `No_`) is shown as `.`.
+   * @param {string} sqlText
+   * @returns {NavObjects}
+   */
+  function analyzeNavObjects(sqlText) {
+    const tables = new Map();
+    const fields = new Map();
+    const usedAliases = new Set();
+
+    for (const identifier of collectQuotedIdentifiers(sqlText)) {
+      const parsed = parseNavTableName(identifier);
+      if (parsed) {
+        if (!tables.has(identifier)) {
+          tables.set(identifier, {
+            identifier,
+            company: parsed.company,
+            table: parsed.table,
+            appId: parsed.appId,
+            alias: tableAlias(parsed.table, usedAliases),
+          });
+        }
+        continue;
+      }
+
+      if (/_$/.test(identifier) && !fields.has(identifier)) {
+        fields.set(identifier, { column: identifier, alName: identifier.replace(/_$/, ".") });
+      }
+    }
+
+    const tableList = Array.from(tables.values());
+    return {
+      companies: dedupeStrings(tableList.map(function companyOnly(table) {
+        return table.company;
+      })),
+      tables: tableList,
+      extensions: dedupeStrings(tableList.map(function appIdOnly(table) {
+        return table.appId;
+      })),
+      fields: Array.from(fields.values()),
+    };
+  }
+
+  function navObjectsHeader(navObjects) {
+    if (!navObjects.tables.length) {
+      return "";
+    }
+
+    const lines = ["-- Tables:"];
+    for (const table of navObjects.tables) {
+      const details = [`table ${table.table}`];
+      if (table.company) {
+        details.unshift(`company ${table.company}`);
+      }
+      if (table.appId) {
+        details.push(`extension ${table.appId}`);
+      }
+      lines.push(`--   ${table.alias} = "${table.identifier}" (${details.join(", ")})`);
+    }
+    return lines.join("\n");
+  }
+
+  /**
+   * @typedef {Object} AnalysisTable
+   * @property {string} name Table name as written, parts joined with ".".
+   * @property {string | null} alias
+   * @property {"from" | "join" | "into" | "update" | "merge" | "using"} role
+   * @property {string | null} join Join type for role "join", e.g. "LEFT OUTER JOIN".
+   * @property {string[]} hints Table hints from `WITH (...)`, upper case.
+   */
+
+  /**
+   * @typedef {Object} AnalysisFinding
+   * @property {"LEADING_WILDCARD_LIKE" | "NON_SARGABLE_FUNCTION"} code
+   * @property {string} message
+   */
+
+  /**
+   * @typedef {Object} StatementAnalysis
+   * @property {"SELECT" | "INSERT" | "UPDATE" | "DELETE" | "MERGE" | null} kind
+   * @property {AnalysisTable[]} tables
+   * @property {string[]} whereColumns
+   * @property {string[]} orderByColumns
+   * @property {string[]} hints All table hints of the statement.
+   * @property {string | null} top TOP expression, e.g. "50" or "@2".
+   * @property {{offset: string, fetch: string | null} | null} offsetFetch
+   * @property {string[]} options OPTION clause entries, e.g. "OPTIMIZE FOR UNKNOWN".
+   * @property {AnalysisFinding[]} findings Patterns known to be costly on NAV/BC tables.
+   * @property {KeySeek | null} keySeek Key comparison NAV uses to read the next page of a FINDSET/NEXT loop.
+   */
+
+  /**
+   * @typedef {Object} KeySeek
+   * @property {{column: string, field: string, value: string, displayValue: string}[]} key Key columns in
+   *   order; `value` is the placeholder or literal, `displayValue` the parameter value when known.
+   * @property {"after" | "from" | "before" | "back from"} direction From the comparison: `>`, `>=`, `<`, `<=`.
+   * @property {string} description e.g. `continuing after key (No.=10000, Line No.=20000)`.
+   */
+
+  const STATEMENT_KINDS = ["SELECT", "INSERT", "UPDATE", "DELETE", "MERGE"];
+  const TABLE_INTRODUCERS = {
+    FROM: "from",
+    JOIN: "join",
+    INTO: "into",
+    UPDATE: "update",
+    MERGE: "merge",
+    USING: "using",
+  };
+  const JOIN_MODIFIERS = ["INNER", "LEFT", "RIGHT", "FULL", "CROSS", "OUTER"];
+  const CLAUSE_END_KEYWORDS = ["GROUP", "ORDER", "HAVING", "OPTION", "UNION", "EXCEPT", "INTERSECT", "OFFSET", "FOR"];
+  const JOIN_CLAUSE_END_KEYWORDS = CLAUSE_END_KEYWORDS.concat(JOIN_MODIFIERS, ["JOIN", "WHERE"]);
+  const PREDICATE_KEYWORDS = ["LIKE", "IN", "BETWEEN", "NOT", "IS"];
+  // Functions whose first argument is a type or date part, not a column.
+  const KEYWORD_ARGUMENT_FUNCTIONS = [
+    "CONVERT", "TRY_CONVERT", "DATEADD", "DATEDIFF", "DATEDIFF_BIG", "DATEPART", "DATENAME", "DATETRUNC",
+  ];
+
+  function upperWord(token) {
+    return token && token.type === "word" ? token.value.toUpperCase() : null;
+  }
+
+  function isReservedWord(token) {
+    return Boolean(token) && token.type === "word" && HIGHLIGHT_KEYWORDS.has(token.value.toUpperCase());
+  }
+
+  function isFunctionCall(tokens, index) {
+    const word = upperWord(tokens[index]);
+    const next = tokens[index + 1];
+    return Boolean(word) && Boolean(next) && next.value === "(" &&
+      (!HIGHLIGHT_KEYWORDS.has(word) || word === "CAST" || word === "CONVERT");
+  }
+
+  /**
+   * @returns {number} Index of the `)` matching the `(` at index, or the last index when unbalanced.
+   */
+  function closingParen(tokens, index) {
+    let depth = 0;
+    for (let i = index; i < tokens.length; i += 1) {
+      if (tokens[i].value === "(") {
+        depth += 1;
+      } else if (tokens[i].value === ")") {
+        depth -= 1;
+        if (depth === 0) {
+          return i;
+        }
+      }
+    }
+    return tokens.length - 1;
+  }
+
+  /**
+   * @returns {number} Index after the last token of the clause that starts at start.
+   */
+  function clauseEnd(tokens, start, endKeywords) {
+    let depth = 0;
+    for (let i = start; i < tokens.length; i += 1) {
+      const value = tokens[i].value;
+      if (value === "(") {
+        depth += 1;
+      } else if (value === ")") {
+        depth -= 1;
+        if (depth < 0) {
+          return i;
+        }
+      } else if (depth === 0 && (value === ";" || endKeywords.includes(upperWord(tokens[i])))) {
+        return i;
+      }
+    }
+    return tokens.length;
+  }
+
+  /**
+   * True for bare words that name a type or date part: `CAST(x AS int)`, `CONVERT(int, x)`, `DATEADD(day, ...)`.
+   */
+  function isTypeOrDatePart(tokens, index) {
+    const previous = tokens[index - 1];
+    return tokens[index].type === "word" && Boolean(previous) &&
+      (upperWord(previous) === "AS" ||
+        (previous.value === "(" && KEYWORD_ARGUMENT_FUNCTIONS.includes(upperWord(tokens[index - 2]))));
+  }
+
+  /**
+   * Column references between start and end: names that are not keywords, function names or types.
+   */
+  function collectColumnNames(tokens, start, end) {
+    const columns = [];
+    for (let i = start; i < end; i += 1) {
+      if ((tokens[i - 1] && tokens[i - 1].value === ".") || isReservedWord(tokens[i]) ||
+        isFunctionCall(tokens, i) || isTypeOrDatePart(tokens, i)) {
+        continue;
+      }
+      const name = readQualifiedName(tokens, i);
+      if (name) {
+        columns.push(name.parts.join("."));
+        i = name.end - 1;
+      }
+    }
+    return columns;
+  }
+
+  function readAnalysisTable(tokens, index, role) {
+    const name = readQualifiedName(tokens, index + 1);
+    if (!name) {
+      return null;
+    }
+
+    let cursor = name.end;
+    if (upperWord(tokens[cursor]) === "AS") {
+      cursor += 1;
+    }
+    let alias = null;
+    if (isNameToken(tokens[cursor]) && !isReservedWord(tokens[cursor]) && !(tokens[cursor + 1] && tokens[cursor + 1].value === "(")) {
+      alias = tokens[cursor].value;
+      cursor += 1;
+    }
+
+    const hints = [];
+    if (upperWord(tokens[cursor]) === "WITH" && tokens[cursor + 1] && tokens[cursor + 1].value === "(") {
+      const close = closingParen(tokens, cursor + 1);
+      for (let i = cursor + 2; i < close; i += 1) {
+        if (tokens[i].type === "word") {
+          hints.push(tokens[i].value.toUpperCase());
+        }
+      }
+    }
+
+    let join = null;
+    if (role === "join") {
+      const modifiers = [];
+      for (let i = index - 1; i >= 0 && JOIN_MODIFIERS.includes(upperWord(tokens[i])); i -= 1) {
+        modifiers.unshift(upperWord(tokens[i]));
+      }
+      join = modifiers.concat("JOIN").join(" ");
+    }
+
+    return { name: name.parts.join("."), alias, role, join, hints };
+  }
+
+  /**
+   * Parses a WHERE/ON condition into AND/OR groups of simple comparisons. Anything that is
+   * not `column op value` (functions, IN, LIKE, subqueries) becomes an "other" leaf.
+   * @returns {{type: "or" | "and", items: object[]} | {type: "compare", column: string, op: string, value: string} | {type: "other"}}
+   */
+  function parseCondition(tokens, start, end) {
+    let index = start;
+
+    function parseList(keyword, parseItem) {
+      const items = [parseItem()];
+      while (index < end && upperWord(tokens[index]) === keyword) {
+        index += 1;
+        items.push(parseItem());
+      }
+      return items.length === 1 ? items[0] : { type: keyword.toLowerCase(), items };
+    }
+
+    function parseOr() {
+      return parseList("OR", parseAnd);
+    }
+
+    function parseAnd() {
+      return parseList("AND", parsePrimary);
+    }
+
+    function parsePrimary() {
+      const token = tokens[index];
+      if (token && token.value === "(") {
+        const close = closingParen(tokens, index);
+        const after = tokens[close + 1];
+        if (close < end && (close + 1 === end || ["AND", "OR"].includes(upperWord(after)))) {
+          const inner = parseCondition(tokens, index + 1, close);
+          index = close + 1;
+          return inner;
+        }
+      }
+
+      const predicateStart = index;
+      let depth = 0;
+      let between = false;
+      for (; index < end; index += 1) {
+        const value = tokens[index].value;
+        const word = upperWord(tokens[index]);
+        if (value === "(") {
+          depth += 1;
+        } else if (value === ")") {
+          depth -= 1;
+        } else if (depth === 0 && word === "BETWEEN") {
+          between = true;
+        } else if (depth === 0 && word === "AND" && between) {
+          between = false;
+        } else if (depth === 0 && (word === "AND" || word === "OR")) {
+          break;
+        }
+      }
+      return readComparison(tokens, predicateStart, index);
+    }
+
+    return parseOr();
+  }
+
+  const FLIPPED_OPERATORS = { "<": ">", ">": "<", "<=": ">=", ">=": "<=", "=": "=" };
+
+  function isValueToken(token) {
+    return Boolean(token) && (token.type === "param" || token.type === "number" || token.type === "string");
+  }
+
+  function readComparison(tokens, start, end) {
+    const name = readQualifiedName(tokens, start);
+    if (name && name.end + 2 === end && FLIPPED_OPERATORS[tokens[name.end].value] && isValueToken(tokens[name.end + 1])) {
+      return { type: "compare", column: name.parts[name.parts.length - 1], op: tokens[name.end].value, value: tokens[name.end + 1].value };
+    }
+    const reversed = isValueToken(tokens[start]) && tokens[start + 1] ? readQualifiedName(tokens, start + 2) : null;
+    if (reversed && reversed.end === end && FLIPPED_OPERATORS[tokens[start + 1].value]) {
+      return {
+        type: "compare",
+        column: reversed.parts[reversed.parts.length - 1],
+        op: FLIPPED_OPERATORS[tokens[start + 1].value],
+        value: tokens[start].value,
+      };
+    }
+    return { type: "other" };
+  }
+
+  // Keeps the expansion of deeply nested conditions bounded.
+  const MAX_DISJUNCTS = 64;
+
+  /**
+   * Expands a condition into OR-of-AND form: a list of disjuncts, each a list of comparisons.
+   * Returns null when the condition holds anything but comparisons or grows too large.
+   */
+  function disjunctiveForm(node) {
+    if (node.type === "compare") {
+      return [[node]];
+    }
+    if (node.type === "other") {
+      return null;
+    }
+
+    const expanded = node.items.map(disjunctiveForm);
+    if (expanded.includes(null)) {
+      return null;
+    }
+    if (node.type === "or") {
+      const disjuncts = [].concat.apply([], expanded);
+      return disjuncts.length > MAX_DISJUNCTS ? null : disjuncts;
+    }
+
+    let product = [[]];
+    for (const disjuncts of expanded) {
+      const next = [];
+      for (const left of product) {
+        for (const right of disjuncts) {
+          next.push(left.concat(right));
+        }
+      }
+      if (next.length > MAX_DISJUNCTS) {
+        return null;
+      }
+      product = next;
+    }
+    return product;
+  }
+
+  const SEEK_DIRECTIONS = { ">": "after", ">=": "from", "<": "before", "<=": "back from" };
+
+  /**
+   * Recognises the key comparison NAV generates to continue a FINDSET/NEXT read after the
+   * last row: `A > @1 OR (A = @1 AND B > @2)`, nested or flat. Disjunct n holds equalities
+   * on the first n-1 key columns and a range comparison on column n.
+   * @returns {{columns: {column: string, value: string}[], op: string} | null}
+   */
+  function matchKeySeek(disjuncts) {
+    if (!disjuncts || disjuncts.length < 2) {
+      return null;
+    }
+
+    const sorted = disjuncts.slice().sort(function byLength(a, b) {
+      return a.length - b.length;
+    });
+    const columns = [];
+    let side = null;
+    let op = null;
+
+    for (let i = 0; i < sorted.length; i += 1) {
+      const comparisons = sorted[i];
+      const ranges = comparisons.filter(function isRange(comparison) {
+        return comparison.op !== "=";
+      });
+      if (comparisons.length !== i + 1 || ranges.length !== 1) {
+        return null;
+      }
+
+      const matchesKey = columns.every(function hasEquality(keyColumn) {
+        return comparisons.some(function equalsKey(comparison) {
+          return comparison.op === "=" && comparison.column === keyColumn.column && comparison.value === keyColumn.value;
+        });
+      });
+      const range = ranges[0];
+      const rangeSide = range.op[0];
+      const inclusive = range.op.length === 2;
+      if (!matchesKey || (side && rangeSide !== side) || (inclusive && i !== sorted.length - 1) ||
+        columns.some(function sameColumn(keyColumn) {
+          return keyColumn.column === range.column;
+        })) {
+        return null;
+      }
+
+      side = rangeSide;
+      op = range.op;
+      columns.push({ column: range.column, value: range.value });
+    }
+
+    return { columns, op };
+  }
+
+  function findKeySeek(node) {
+    if (node.type === "or") {
+      const match = matchKeySeek(disjunctiveForm(node));
+      if (match) {
+        return match;
+      }
+    }
+    if (node.type === "or" || node.type === "and") {
+      for (const item of node.items) {
+        const match = findKeySeek(item);
+        if (match) {
+          return match;
+        }
+      }
+    }
+    return null;
+  }
+
+  function seekValueText(value, params) {
+    const parsed = params && /^@/.test(value) ? params.get(normalizeParamName(value)) : null;
+    const literal = parsed && parsed.normalizedLiteral ? parsed.normalizedLiteral : value;
+    const text = unquoteStringToken(literal);
+    return text === null ? literal : text;
+  }
+
+  /**
+   * @param {Map<string, ParsedParam>} [params]
+   * @returns {KeySeek | null}
+   */
+  function describeKeySeek(match, params) {
+    if (!match) {
+      return null;
+    }
+    const key = match.columns.map(function keyColumn(keyColumn) {
+      return {
+        column: keyColumn.column,
+        field: keyColumn.column.replace(/_$/, "."),
+        value: keyColumn.value,
+        displayValue: seekValueText(keyColumn.value, params),
+      };
+    });
+    const direction = SEEK_DIRECTIONS[match.op];
+    return {
+      key,
+      direction,
+      description: `continuing ${direction} key (${key.map(function pair(keyColumn) {
+        return `${keyColumn.field}=${keyColumn.displayValue}`;
+      }).join(", ")})`,
+    };
+  }
+
+  function startsWithWildcard(literal) {
+    return /^N?'%/i.test(literal || "");
+  }
+
+  /**
+   * Summarises what a statement does: its kind, tables and joins, filter and sort columns,
+   * hints, row limits and OPTION clauses, plus findings for patterns that defeat index seeks.
+   * @param {string} sqlText
+   * @param {Map<string, ParsedParam>} [params] Values used to spot wildcard parameters in LIKE.
+   * @returns {StatementAnalysis}
+   */
+  function analyzeStatement(sqlText, params) {
+    const tokens = tokenizeSql(sqlText || "").filter(function notComment(token) {
+      return token.type !== "comment";
+    });
+    const analysis = {
+      kind: null,
+      tables: [],
+      whereColumns: [],
+      orderByColumns: [],
+      hints: [],
+      top: null,
+      offsetFetch: null,
+      options: [],
+      findings: [],
+      keySeek: null,
+    };
+    const predicateRanges = [];
+    let depth = 0;
+
+    function rawText(start, end) {
+      return start < end ? sqlText.slice(tokens[start].start, tokens[end - 1].end).replace(/\s+/g, " ") : "";
+    }
+
+    for (let i = 0; i < tokens.length; i += 1) {
+      const token = tokens[i];
+      const word = upperWord(token);
+
+      if (token.value === "(") {
+        depth += 1;
+      } else if (token.value === ")") {
+        depth -= 1;
+      }
+      if (!word) {
+        continue;
+      }
+
+      if (!analysis.kind && depth === 0 && STATEMENT_KINDS.includes(word)) {
+        analysis.kind = word;
+      }
+
+      const role = TABLE_INTRODUCERS[word];
+      const skipTable = (word === "MERGE" && upperWord(tokens[i + 1]) === "INTO") ||
+        (word === "UPDATE" && upperWord(tokens[i - 1]) === "FOR");
+      if (role && !skipTable) {
+        const table = readAnalysisTable(tokens, i, role);
+        if (table) {
+          analysis.tables.push(table);
+        }
+      }
+
+      if (word === "WHERE") {
+        const end = clauseEnd(tokens, i + 1, CLAUSE_END_KEYWORDS);
+        analysis.whereColumns.push.apply(analysis.whereColumns, collectColumnNames(tokens, i + 1, end));
+        predicateRanges.push([i + 1, end]);
+        if (!analysis.keySeek) {
+          analysis.keySeek = describeKeySeek(findKeySeek(parseCondition(tokens, i + 1, end)), params);
+        }
+      } else if (word === "ON") {
+        predicateRanges.push([i + 1, clauseEnd(tokens, i + 1, JOIN_CLAUSE_END_KEYWORDS)]);
+      } else if (word === "ORDER" && upperWord(tokens[i + 1]) === "BY") {
+        const end = clauseEnd(tokens, i + 2, ["OPTION", "OFFSET", "FOR", "UNION"]);
+        analysis.orderByColumns.push.apply(analysis.orderByColumns, collectColumnNames(tokens, i + 2, end));
+      } else if (word === "TOP" && !analysis.top && tokens[i + 1]) {
+        analysis.top = tokens[i + 1].value === "("
+          ? rawText(i + 2, closingParen(tokens, i + 1))
+          : tokens[i + 1].value;
+      } else if (word === "OFFSET" && !analysis.offsetFetch) {
+        const rowsIndex = clauseEnd(tokens, i + 1, ["ROWS", "ROW"]);
+        const fetchWord = upperWord(tokens[rowsIndex + 1]);
+        let fetch = null;
+        if (fetchWord === "FETCH") {
+          fetch = rawText(rowsIndex + 3, clauseEnd(tokens, rowsIndex + 3, ["ROWS", "ROW"]));
+        }
+        analysis.offsetFetch = { offset: rawText(i + 1, rowsIndex), fetch };
+      } else if (word === "OPTION" && tokens[i + 1] && tokens[i + 1].value === "(") {
+        const close = closingParen(tokens, i + 1);
+        let segmentStart = i + 2;
+        let optionDepth = 0;
+        for (let j = i + 2; j <= close; j += 1) {
+          if (tokens[j].value === "(") {
+            optionDepth += 1;
+          } else if (tokens[j].value === ")" && j !== close) {
+            optionDepth -= 1;
+          } else if ((tokens[j].value === "," && optionDepth === 0) || j === close) {
+            if (j > segmentStart) {
+              analysis.options.push(rawText(segmentStart, j));
+            }
+            segmentStart = j + 1;
+          }
+        }
+      } else if (word === "LIKE") {
+        const pattern = tokens[i + 1];
+        const columnToken = upperWord(tokens[i - 1]) === "NOT" ? tokens[i - 2] : tokens[i - 1];
+        const column = isNameToken(columnToken) ? columnToken.value : "a column";
+        const parsed = pattern && pattern.type === "param" && params
+          ? params.get(normalizeParamName(pattern.value))
+          : null;
+        if (pattern && pattern.type === "string" && startsWithWildcard(pattern.value)) {
+          analysis.findings.push({
+            code: "LEADING_WILDCARD_LIKE",
+            message: `LIKE ${pattern.value} on ${column} starts with a wildcard; an index on the column cannot be used for a seek.`,
+          });
+        } else if (parsed && startsWithWildcard(parsed.normalizedLiteral)) {
+          analysis.findings.push({
+            code: "LEADING_WILDCARD_LIKE",
+            message: `LIKE ${pattern.value} (${parsed.normalizedLiteral}) on ${column} starts with a wildcard; an index on the column cannot be used for a seek.`,
+          });
+        }
+      }
+    }
+
+    for (const [start, end] of predicateRanges) {
+      for (let i = start; i < end; i += 1) {
+        if (!isFunctionCall(tokens, i)) {
+          continue;
+        }
+        const close = closingParen(tokens, i + 1);
+        const before = tokens[i - 1];
+        const after = tokens[close + 1];
+        const compared = (before && before.type === "operator" && COMPARISON_OPERATORS.includes(before.value)) ||
+          (after && after.type === "operator" && COMPARISON_OPERATORS.includes(after.value)) ||
+          PREDICATE_KEYWORDS.includes(upperWord(after));
+        const columns = collectColumnNames(tokens, i + 2, close);
+        if (compared && columns.length) {
+          analysis.findings.push({
+            code: "NON_SARGABLE_FUNCTION",
+            message: `${tokens[i].value.toUpperCase()}() on ${columns[0]} in a predicate is not SARGable; an index on the column cannot be used for a seek.`,
+          });
+        }
+      }
+    }
+
+    analysis.whereColumns = dedupeStrings(analysis.whereColumns);
+    analysis.orderByColumns = dedupeStrings(analysis.orderByColumns);
+    analysis.hints = dedupeStrings([].concat.apply([], analysis.tables.map(function hintsOnly(table) {
+      return table.hints;
+    })));
+    const seenFindings = new Set();
+    analysis.findings = analysis.findings.filter(function firstOfMessage(finding) {
+      if (seenFindings.has(finding.message)) {
+        return false;
+      }
+      seenFindings.add(finding.message);
+      return true;
+    });
+
+    return analysis;
+  }
+
+  function positiveInteger(value, fallback, minimum) {
+    const number = Number(value);
+    return Number.isInteger(number) && number >= minimum ? number : fallback;
+  }
+
+  /**
+   * Merges user formatting options over the defaults, dropping invalid values.
+   * @param {FormatOptions | null | undefined} formatOptions
+   * @returns {Required<FormatOptions> & {language: string}}
+   */
+  function resolveFormatOptions(formatOptions) {
+    const options = Object.assign({}, DEFAULT_FORMAT_OPTIONS, formatOptions);
+    return {
+      language: options.language || DEFAULT_FORMAT_OPTIONS.language,
+      keywordCase: KEYWORD_CASES.includes(options.keywordCase)
+        ? options.keywordCase
+        : DEFAULT_FORMAT_OPTIONS.keywordCase,
+      tabWidth: positiveInteger(options.tabWidth, DEFAULT_FORMAT_OPTIONS.tabWidth, 1),
+      useTabs: Boolean(options.useTabs),
+      commaPosition: COMMA_POSITIONS.includes(options.commaPosition)
+        ? options.commaPosition
+        : DEFAULT_FORMAT_OPTIONS.commaPosition,
+      expressionWidth: positiveInteger(options.expressionWidth, DEFAULT_FORMAT_OPTIONS.expressionWidth, 1),
+      linesBetweenQueries: positiveInteger(
+        options.linesBetweenQueries,
+        DEFAULT_FORMAT_OPTIONS.linesBetweenQueries,
+        0,
+      ),
+    };
+  }
+
+  function indentUnit(settings) {
+    return settings.useTabs ? "\t" : " ".repeat(settings.tabWidth);
+  }
+
+  function applyKeywordCase(keyword, settings) {
+    return settings.keywordCase === "lower" ? keyword.toLowerCase() : keyword;
+  }
+
+  /**
+   * Joins list items one per line, with commas at the line end or line start.
+   */
+  function joinListLines(items, settings) {
+    const indent = indentUnit(settings);
+    return settings.commaPosition === "leading"
+      ? items.join(`\n${indent}, `)
+      : items.join(`,\n${indent}`);
+  }
+
+  /**
+   * Moves commas that end a line (outside strings, identifiers and comments) to the
+   * start of the next line's content.
+   * @param {string} sqlText
+   * @returns {string}
+   */
+  function moveCommasToLineStart(sqlText) {
+    let output = "";
+    let pendingComma = false;
+    let i = 0;
+
+    while (i < sqlText.length) {
+      const char = sqlText[i];
+
+      if (pendingComma && char !== "\n" && !/\s/.test(char)) {
+        output += ", ";
+        pendingComma = false;
+      }
+
+      let end = -1;
+      if (char === "'") {
+        end = consumeSingleQuoted(sqlText, i);
+      } else if (char === '"') {
+        end = consumeDoubleQuoted(sqlText, i);
+      } else if (char === "[") {
+        end = consumeBracketIdentifier(sqlText, i);
+      } else if (char === "-" && sqlText[i + 1] === "-") {
+        end = consumeLineComment(sqlText, i);
+      } else if (char === "/" && sqlText[i + 1] === "*") {
+        end = consumeBlockComment(sqlText, i);
+      }
+
+      if (end !== -1) {
+        output += sqlText.slice(i, end);
+        i = end;
+        continue;
+      }
+
+      if (char === "," && /^[ \t]*\n/.test(sqlText.slice(i + 1))) {
+        pendingComma = true;
+        i += 1;
+        while (sqlText[i] === " " || sqlText[i] === "\t") {
+          i += 1;
+        }
+        continue;
+      }
+
+      output += char;
+      i += 1;
+    }
+
+    return pendingComma ? `${output},` : output;
+  }
+
+  /**
+   * @param {string} sqlText
+   * @param {Diagnostic[]} diagnostics Formatter problems are appended here.
+   * @param {{format: Function}} [formatterOverride] Defaults to the global sqlFormatter.
+   * @param {FormatOptions} [formatOptions]
+   * @returns {string}
+   */
+  function applyFormatting(sqlText, diagnostics, formatterOverride, formatOptions) {
+    if (!sqlText || !sqlText.trim()) {
+      return sqlText;
+    }
+
+    const settings = resolveFormatOptions(formatOptions);
+
+    const formatter = formatterOverride || global.sqlFormatter;
+    if (!formatter || typeof formatter.format !== "function") {
+      pushDiagnostic(diagnostics, "FORMATTER_UNAVAILABLE", "SQL formatter is unavailable; output was left unformatted.");
       return sqlText;
     }
+
+    try {
+      const formatted = formatter.format(sqlText, {
+        language: settings.language,
+        keywordCase: settings.keywordCase,
+        tabWidth: settings.tabWidth,
+        useTabs: settings.useTabs,
+        expressionWidth: settings.expressionWidth,
+        linesBetweenQueries: settings.linesBetweenQueries,
+      });
+      return settings.commaPosition === "leading" ? moveCommasToLineStart(formatted) : formatted;
+    } catch (error) {
+      const message = error && error.message ? ` (${error.message})` : "";
+      pushDiagnostic(diagnostics, "FORMATTER_FAILED", `SQL formatter failed; output was left unformatted.${message}`);
+      return sqlText;
+    }
+  }
+
+  function inferenceOptions(options) {
+    return { narrowIntegers: Boolean(options && options.narrowIntegers) };
+  }
+
+  /**
+   * @param {string} sqlText
+   * @param {string} execText
+   * @param {GenerateOptions} [options]
+   * @returns {GenerationResult}
+   */
+  function generate(sqlText, execText, options) {
+    const safeSql = typeof sqlText === "string" ? sqlText : "";
+    const safeExec = typeof execText === "string" ? normalizeExecLineBreaks(execText) : "";
+
+    const result = buildGenerationResult(safeSql, parseExecStatement(safeExec, inferenceOptions(options)), options);
+    locateDiagnostics(result.diagnostics, sqlText, execText);
+    return result;
+  }
+
+  /**
+   * Single-paste variant of generate(): takes one `exec sp_executesql` / `sp_prepexec`
+   * call and splits it into statement, definitions and values first.
+   * @param {string} callText
+   * @param {GenerateOptions} [options]
+   * @returns {GenerationResult}
+   */
+  function generateFromCall(callText, options) {
+    const call = parseProcedureCall(callText);
+    const diagnostics = call.diagnostics.slice();
+    const definitions = parseParameterDefinitions(call.definitionText || "") || new Map();
+    const assignments = call.assignments.map(function normalizeValue(assignment) {
+      return {
+        name: assignment.name,
+        valueToken: normalizeExecLineBreaks(assignment.valueToken),
+      };
+    });
+
+    // `exec sp_executesql N'SELECT 1'` takes no parameters and needs no values.
+    const expectsValues = definitions.size > 0 || collectSqlParameters(call.sqlText || "").length > 0;
+    if (call.procedure && assignments.length === 0 && expectsValues) {
+      pushDiagnostic(diagnostics, "NO_CALL_VALUES", `No parameter values were parsed from the ${call.procedure} call.`);
+    }
+
+    const params = resolveParams(assignments, definitions, diagnostics, inferenceOptions(options));
+
+    const result = buildGenerationResult(
+      call.sqlText,
+      { params, definitions, diagnostics: dedupeDiagnostics(diagnostics) },
+      options,
+    );
+    // The statement is a string literal inside the call, so only EXEC-side offsets are meaningful.
+    locateDiagnostics(result.diagnostics, null, callText);
+    return result;
+  }
+
+  /**
+   * Fills sqlRange / execRange of parameter diagnostics with offsets into the raw inputs.
+   * @param {Diagnostic[]} diagnostics
+   * @param {string | null} sqlText
+   * @param {string | null} execText
+   * @param {Map<string, ParamDefinition>} [definitions] Names for positional sp_execute values.
+   */
+  function locateDiagnostics(diagnostics, sqlText, execText, definitions) {
+    const sqlTokens = typeof sqlText === "string" ? tokenizeSql(sqlText) : [];
+
+    for (const diagnostic of diagnostics) {
+      if (!diagnostic.param) {
+        continue;
+      }
+
+      const key = normalizeParamName(diagnostic.param);
+      const use = sqlTokens.find(function isParamUse(token) {
+        return token.type === "param" && normalizeParamName(token.value) === key;
+      });
+      diagnostic.sqlRange = use ? { start: use.start, end: use.end } : null;
+      diagnostic.execRange = typeof execText === "string" ? findAssignmentOffset(execText, key, definitions) : null;
+    }
+  }
+
+  /**
+   * Picks the type and literal used for a placeholder: the declared type when a
+   * definition string exists, else the inferred type, else sql_variant.
+   * @returns {{sqlType: string, literal: string | null, meaning: string | null}}
+   */
+  function resolveParamDeclaration(sqlParam, parseResult) {
+    const parsed = parseResult.params.get(sqlParam.key);
+    const definition = parseResult.definitions.get(sqlParam.key);
+    const literal = parsed && parsed.normalizedLiteral ? parsed.normalizedLiteral : null;
+    const meaning = parsed ? parsed.meaning : null;
+
+    if (definition) {
+      return { sqlType: definition.sqlType, literal, meaning };
+    }
+
+    if (!literal || !parsed.confidence || !parsed.inferredType) {
+      return { sqlType: "sql_variant", literal, meaning };
+    }
+
+    return { sqlType: parsed.inferredType, literal, meaning };
+  }
+
+  function meaningComment(meaning) {
+    return meaning ? ` /* ${meaning} */` : "";
+  }
+
+  function quoteUnicodeString(text) {
+    return `N'${text.replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * Rebuilds a parameterised `EXEC sp_executesql` call around the (already formatted)
+   * statement text, so the statement runs with real parameters instead of local variables.
+   */
+  function buildExecuteSqlCall(statementSql, sqlParams, parseResult, settings) {
+    const args = [quoteUnicodeString(statementSql.trim())];
+
+    if (sqlParams.length > 0) {
+      const callParams = sortSqlParamsForDeclare(sqlParams).map(function callParam(sqlParam) {
+        return {
+          name: sqlParam.name,
+          resolved: resolveParamDeclaration(sqlParam, parseResult),
+        };
+      });
+
+      args.push(quoteUnicodeString(callParams.map(function definition(param) {
+        return `${param.name} ${param.resolved.sqlType}`;
+      }).join(", ")));
+
+      for (const param of callParams) {
+        args.push(`${param.name} = ${param.resolved.literal || "NULL"}${meaningComment(param.resolved.meaning)}`);
+      }
+    }
+
+    return `${applyKeywordCase("EXEC", settings)} sp_executesql ${joinListLines(args, settings)};`;
+  }
+
+  /**
+   * Builds the DECLARE block; it is laid out here rather than by the formatter so
+   * indentation, comma position and keyword case follow the format options.
+   */
+  function buildDeclareBlock(sqlParams, parseResult, settings) {
+    const declareParams = sortSqlParamsForDeclare(sqlParams);
+    const declarations = declareParams.map(function declaration(sqlParam) {
+      const resolved = resolveParamDeclaration(sqlParam, parseResult);
+      return resolved.literal
+        ? `${sqlParam.name} ${resolved.sqlType} = ${resolved.literal}${meaningComment(resolved.meaning)}`
+        : `${sqlParam.name} ${resolved.sqlType}`;
+    });
+    return `${applyKeywordCase("DECLARE", settings)} ${joinListLines(declarations, settings)};`;
+  }
+
+  function collectParameterWarnings(sqlParams, parseResult, mode, diagnostics) {
+    for (const sqlParam of sqlParams) {
+      const parsed = parseResult.params.get(sqlParam.key);
+      const definition = parseResult.definitions.get(sqlParam.key);
+      const fallbackType = definition ? definition.sqlType : "sql_variant";
+      let fallback = `declaring as uninitialized ${fallbackType}`;
+      if (mode === "inline") {
+        fallback = "leaving the placeholder in place";
+      } else if (mode === "executesql") {
+        fallback = `passing NULL as ${fallbackType}`;
+      }
+
+      if (!parsed) {
+        pushDiagnostic(
+          diagnostics,
+          "MISSING_VALUE",
+          `Missing value for ${sqlParam.name} in EXEC statement; ${fallback}.`,
+          sqlParam.name,
+        );
+        continue;
+      }
+
+      if (!parsed.normalizedLiteral) {
+        pushDiagnostic(
+          diagnostics,
+          "NO_LITERAL",
+          `No literal value was parsed for ${sqlParam.name}; ${fallback}.`,
+          sqlParam.name,
+        );
+      }
+
+      if (definition || mode === "inline") {
+        continue;
+      }
+
+      if (!parsed.confidence || !parsed.inferredType) {
+        const detail = parsed.parseError ? ` (${parsed.parseError})` : "";
+        pushDiagnostic(
+          diagnostics,
+          "LOW_CONFIDENCE",
+          `Type inference is not confident for ${sqlParam.name}${detail}; using sql_variant.`,
+          sqlParam.name,
+        );
+      }
+    }
+  }
+
+  // BEGIN TRAN / BEGIN DISTRIBUTED TRANSACTION / BEGIN DIALOG start no END-terminated block.
+  const BEGIN_NON_BLOCK_RE = /^\s+(?:TRAN|TRANSACTION|DISTRIBUTED|DIALOG|CONVERSATION)\b/i;
+  const GO_LINE_RE = /^[ \t]*go(?:[ \t]+\d+)?[ \t]*(?:;[ \t]*)?(?:\r?\n|$)/i;
+
+  /**
+   * Splits SQL input into GO-separated batches of `;`-terminated statements. GO only
+   * counts on a line of its own; `;` only at parenthesis depth 0 and outside BEGIN...END
+   * and CASE...END. Quoted text and comments are skipped. Terminators stay with their statement.
+   * @param {string} sqlText
+   * @returns {string[][]} Trimmed, non-empty statements per batch.
+   */
+  function splitSqlBatches(sqlText) {
+    const batches = [];
+    let statements = [];
+    let start = 0;
+    let depth = 0;
+    // BEGIN...END and CASE...END nesting; a `;` inside a block does not end the statement.
+    let blockDepth = 0;
+    let i = 0;
+
+    function endStatement(end) {
+      const statement = sqlText.slice(start, end).trim();
+      if (statement && statement !== ";") {
+        statements.push(statement);
+      }
+    }
+
+    function endBatch() {
+      if (statements.length) {
+        batches.push(statements);
+      }
+      statements = [];
+    }
+
+    while (i < sqlText.length) {
+      const char = sqlText[i];
+
+      if ((i === 0 || sqlText[i - 1] === "\n") && depth === 0) {
+        const goMatch = sqlText.slice(i).match(GO_LINE_RE);
+        if (goMatch) {
+          endStatement(i);
+          endBatch();
+          i += goMatch[0].length;
+          start = i;
+          continue;
+        }
+      }
+
+      if (char === "'") {
+        i = consumeSingleQuoted(sqlText, i);
+        continue;
+      }
+
+      if (char === '"') {
+        i = consumeDoubleQuoted(sqlText, i);
+        continue;
+      }
+
+      if (char === "[") {
+        i = consumeBracketIdentifier(sqlText, i);
+        continue;
+      }
+
+      if (char === "-" && sqlText[i + 1] === "-") {
+        i = consumeLineComment(sqlText, i);
+        continue;
+      }
+
+      if (char === "/" && sqlText[i + 1] === "*") {
+        i = consumeBlockComment(sqlText, i);
+        continue;
+      }
+
+      if (/[A-Za-z]/.test(char) && (i === 0 || !/[\w@#$]/.test(sqlText[i - 1]))) {
+        const word = sqlText.slice(i).match(/^\w+/)[0].toUpperCase();
+        if (word === "CASE" || (word === "BEGIN" && !BEGIN_NON_BLOCK_RE.test(sqlText.slice(i + word.length)))) {
+          blockDepth += 1;
+        } else if (word === "END") {
+          blockDepth = Math.max(0, blockDepth - 1);
+        }
+        i += word.length;
+        continue;
+      }
+
+      if (char === "(") {
+        depth += 1;
+      } else if (char === ")") {
+        depth = Math.max(0, depth - 1);
+      } else if (char === ";" && depth === 0 && blockDepth === 0) {
+        endStatement(i + 1);
+        start = i + 1;
+      }
+
+      i += 1;
+    }
+
+    endStatement(sqlText.length);
+    endBatch();
+    return batches;
+  }
+
+  /**
+   * Prefixes statement-specific diagnostics with the statement they belong to.
+   * @param {Diagnostic[]} diagnostics
+   * @param {number} number
+   */
+  function tagStatement(diagnostics, number) {
+    for (const diagnostic of diagnostics) {
+      diagnostic.statement = number;
+      diagnostic.message = `Statement ${number}: ${diagnostic.message}`;
+    }
+    return diagnostics;
+  }
+
+  /**
+   * @typedef {Object} RedactionRules
+   * @property {boolean} [keepNumbers] Leave integer and decimal values (record keys, line numbers) as they are.
+   * @property {string[]} [keepParams] Parameter names whose values are left as they are.
+   * @property {Map<string, string>} [replacements] Replacements chosen so far; shared between runs
+   *   that should map equal values to equal replacements.
+   */
+
+  const SYNTHETIC_LETTERS = "abcdefghijklmnopqrstuvwxyz";
+  const SYNTHETIC_DIGITS = "0123456789";
+  const SYNTHETIC_DATE_START = Date.UTC(2000, 0, 1);
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  // NAV storage markers carry no customer data and change how the value reads.
+  const KEPT_MEANINGS = ["blank date", "max date", "empty GUID"];
+
+  /**
+   * Per-run redaction state: the rules plus the replacement chosen for every literal so far,
+   * so equal values get equal replacements across all statements of a run.
+   * @param {boolean | RedactionRules} rules
+   * @returns {{keepNumbers: boolean, keepParams: Set<string>, replacements: Map<string, string>}}
+   */
+  function createRedaction(rules) {
+    const safeRules = rules && typeof rules === "object" ? rules : {};
+    return {
+      keepNumbers: Boolean(safeRules.keepNumbers),
+      keepParams: new Set(Array.from(safeRules.keepParams || []).map(normalizeParamName)),
+      replacements: safeRules.replacements instanceof Map ? safeRules.replacements : new Map(),
+    };
+  }
+
+  /** Character `position` of a synthetic value; different seeds give different strings. */
+  function syntheticChar(seed, position, alphabet) {
+    const place = Math.floor(seed / alphabet.length ** position);
+    return alphabet[(place + position * 7) % alphabet.length];
+  }
+
+  /** Replaces letters and digits, keeping case, punctuation, spaces and length. */
+  function synthesizeText(value, seed) {
+    let position = 0;
+    return value.replace(/\p{L}|\d/gu, function replaceChar(char) {
+      let replacement = "";
+      for (let unit = 0; unit < char.length; unit += 1) {
+        const alphabet = /\d/.test(char) ? SYNTHETIC_DIGITS : SYNTHETIC_LETTERS;
+        replacement += syntheticChar(seed, position, alphabet);
+        position += 1;
+      }
+      return char === char.toUpperCase() && char !== char.toLowerCase() ? replacement.toUpperCase() : replacement;
+    });
+  }
+
+  function synthesizeDateTime(value, seed) {
+    const date = new Date(SYNTHETIC_DATE_START + seed * DAY_MS).toISOString().slice(0, 10);
+    if (DATE_RE.test(value)) {
+      return date;
+    }
+    if (TIME_RE.test(value)) {
+      const time = new Date(seed * 1000).toISOString().slice(11, 19);
+      return value.replace(/^\d{2}:\d{2}:\d{2}/, time).replace(/\.\d+$/, function zeroFraction(fraction) {
+        return fraction.replace(/\d/g, "0");
+      });
+    }
+    return `${date}${value.slice(10).replace(/\d/g, "0")}`;
+  }
+
+  function synthesizeNumber(token, seed) {
+    return token.replace(/^([+-]?)(\d*)(?:\.(\d*))?/, function replaceDigits(match, sign, whole, fraction) {
+      let syntheticWhole = whole;
+      if (whole.length === 1 && whole !== "0" && whole !== "1") {
+        syntheticWhole = String(2 + (seed % 8));
+      } else if (whole.length > 1) {
+        // A leading 1 keeps the value inside the range of the original integer type.
+        syntheticWhole = `1${synthesizeText(whole.slice(1), seed)}`;
+      }
+      const syntheticFraction = fraction === undefined ? "" : `.${synthesizeText(fraction, seed)}`;
+      return `${sign}${syntheticWhole}${syntheticFraction}`;
+    });
+  }
+
+  /**
+   * Synthetic stand-in for one string, binary or number literal with the same type:
+   * same length and N prefix for strings, same shape for dates and GUIDs, same digit
+   * count for numbers and binaries.
+   * @param {string} literal
+   * @param {number} seed
+   * @returns {string}
+   */
+  function synthesizeLiteral(literal, seed) {
+    const stringMatch = literal.match(/^(N?)'([\s\S]*)'$/i);
+    if (stringMatch) {
+      const value = decodeSqlString(stringMatch[2]);
+      let synthetic;
+      if (isGuidString(value)) {
+        synthetic = value.replace(/[0-9A-Fa-f]{12}(?=\}?$)/, seed.toString(16).padStart(12, "0").slice(-12))
+          .replace(/^(\{?)[0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}/, "$100000000-0000-0000-0000");
+      } else if (DATETIME_RE.test(value) || DATE_RE.test(value) || TIME_RE.test(value)) {
+        synthetic = synthesizeDateTime(value, seed);
+      } else {
+        synthetic = synthesizeText(value, seed);
+      }
+      return `${stringMatch[1]}'${synthetic.replace(/'/g, "''")}'`;
+    }
+
+    if (/^0x[0-9A-Fa-f]+$/i.test(literal)) {
+      const digits = literal.length - 2;
+      return `0x${seed.toString(16).toUpperCase().padStart(digits, "0").slice(-digits)}`;
+    }
+
+    return synthesizeNumber(literal, seed);
+  }
+
+  function isKeptLiteral(literal, redaction) {
+    if (/^N?''$/i.test(literal) || /^0x0*$/i.test(literal) || /^[+-]?[01]$/.test(literal)) {
+      return true;
+    }
+    if (redaction.keepNumbers && /^[+-]?[\d.]/.test(literal)) {
+      return true;
+    }
+    return KEPT_MEANINGS.includes(describeNavLiteral(literal));
+  }
+
+  /**
+   * Redacts every string, binary and number literal in a value token; tokens like
+   * `CAST('...' AS date)` keep their surrounding expression.
+   * @param {string} valueToken
+   * @param {ReturnType<typeof createRedaction>} redaction
+   * @returns {string}
+   */
+  function redactValueToken(valueToken, redaction) {
+    let output = "";
+    let copiedUpTo = 0;
+
+    for (const token of tokenizeSql(valueToken)) {
+      if ((token.type !== "string" && token.type !== "number") || isKeptLiteral(token.value, redaction)) {
+        continue;
+      }
+      if (!redaction.replacements.has(token.value)) {
+        redaction.replacements.set(token.value, synthesizeLiteral(token.value, redaction.replacements.size + 1));
+      }
+      output += valueToken.slice(copiedUpTo, token.start) + redaction.replacements.get(token.value);
+      copiedUpTo = token.end;
+    }
+
+    return output + valueToken.slice(copiedUpTo);
+  }
+
+  /**
+   * Copy of a parse result with synthetic parameter values. Types, confidence and parse
+   * errors are those of the original values, so the DECLARE structure does not change.
+   * @param {{params: Map<string, ParsedParam>}} parseResult
+   * @param {ReturnType<typeof createRedaction>} redaction
+   */
+  function redactParseResult(parseResult, redaction) {
+    const params = new Map();
+    for (const [key, param] of parseResult.params.entries()) {
+      if (redaction.keepParams.has(key)) {
+        params.set(key, param);
+        continue;
+      }
+      const normalizedLiteral = param.normalizedLiteral === null
+        ? null
+        : redactValueToken(param.normalizedLiteral, redaction);
+      params.set(key, Object.assign({}, param, {
+        rawToken: redactValueToken(param.rawToken, redaction),
+        normalizedLiteral,
+        meaning: describeNavLiteral(normalizedLiteral),
+      }));
+    }
+    return Object.assign({}, parseResult, { params });
+  }
+
+  // Messages that quote a parameter value: "Value N'x' for @0 ...", "Positional value 5 has no ...".
+  const VALUE_MESSAGE_RE = /\b((?:Positional v|V)alue )([\s\S]+?)( for @| has no matching)/;
+
+  function redactDiagnosticMessages(diagnostics, redaction) {
+    for (const diagnostic of diagnostics) {
+      if (redaction.keepParams.has(normalizeParamName(diagnostic.param || ""))) {
+        continue;
+      }
+      diagnostic.message = diagnostic.message.replace(VALUE_MESSAGE_RE, function redactQuoted(match, lead, value, tail) {
+        return `${lead}${redactValueToken(value, redaction)}${tail}`;
+      });
+    }
+  }
+
+  /**
+   * @param {string} sqlText Raw SQL input; it may hold several statements and GO batches.
+   * @param {{params: Map<string, ParsedParam>, definitions: Map<string, ParamDefinition>, diagnostics: Diagnostic[]}} execParseResult
+   * @param {GenerateOptions} [options]
+   * @returns {GenerationResult}
+   */
+  function buildGenerationResult(sqlText, execParseResult, options) {
+    const diagnostics = execParseResult.diagnostics.slice();
+
+    let mode = options && options.mode ? options.mode : "declare";
+    if (!OUTPUT_MODES.includes(mode)) {
+      pushDiagnostic(diagnostics, "UNKNOWN_OUTPUT_MODE", `Unknown output mode "${mode}"; using declare.`);
+      mode = "declare";
+    }
+
+    let statementCount = 0;
+    const batches = splitSqlBatches(sqlText).map(function numberStatements(statements) {
+      return statements.map(function normalizeStatement(statement) {
+        statementCount += 1;
+        const safeStatement = normalizeSqlLineBreaks(statement).trim();
+        return { number: statementCount, sql: safeStatement, params: collectSqlParameters(safeStatement) };
+      });
+    });
+    const statements = [].concat.apply([], batches);
+    const multiple = statements.length > 1;
+    const safeSql = statements.map(function sqlOnly(statement) {
+      return statement.sql;
+    }).join("\n");
+
+    const sqlParams = collectSqlParameters(safeSql);
+    const usedKeys = new Set(sqlParams.map(function keyOnly(item) {
+      return item.key;
+    }));
+    const parameterDiagnostics = [];
+    const typedResult = options && options.schema
+      ? applySchemaTypes(safeSql, sqlParams, execParseResult, options.schema, parameterDiagnostics)
+      : execParseResult;
+    const redaction = options && options.redact ? createRedaction(options.redact) : null;
+    const parseResult = redaction ? redactParseResult(typedResult, redaction) : typedResult;
+
+    collectParameterWarnings(sqlParams, parseResult, mode, parameterDiagnostics);
+
+    for (const diagnostic of parameterDiagnostics) {
+      const key = normalizeParamName(diagnostic.param || "");
+      const firstUse = statements.find(function usesParam(statement) {
+        return statement.params.some(function hasKey(sqlParam) {
+          return sqlParam.key === key;
+        });
+      });
+      diagnostics.push(multiple && firstUse ? tagStatement([diagnostic], firstUse.number)[0] : diagnostic);
+    }
+
+    for (const [key, param] of parseResult.params.entries()) {
+      if (!usedKeys.has(key)) {
+        pushDiagnostic(
+          diagnostics,
+          "UNREFERENCED_EXEC_PARAM",
+          `EXEC parameter ${param.name} is not referenced in the SQL statement.`,
+          param.name,
+        );
+      }
+    }
+
+    const formatter = options && options.formatter ? options.formatter : null;
+    const formatOptions = options && options.formatOptions ? options.formatOptions : null;
+    const settings = resolveFormatOptions(formatOptions);
+    const separator = "\n".repeat(settings.linesBetweenQueries + 1);
+
+    function formatStatement(statement) {
+      const statementDiagnostics = [];
+      const sql = mode === "inline"
+        ? replaceSqlParameters(statement.sql, parseResult.params, { sourceComments: Boolean(options && options.sourceComments) }).trim()
+        : statement.sql;
+      const formatted = applyFormatting(sql, statementDiagnostics, formatter, formatOptions);
+      diagnostics.push.apply(diagnostics, multiple ? tagStatement(statementDiagnostics, statement.number) : statementDiagnostics);
+      return formatted;
+    }
+
+    // Variables do not survive GO, so each batch declares (or passes) its own parameters.
+    const batchOutputs = batches.map(function buildBatch(batchStatements) {
+      const body = batchStatements.map(formatStatement).join(separator);
+      const batchParams = collectSqlParameters(batchStatements.map(function sqlOnly(statement) {
+        return statement.sql;
+      }).join("\n"));
+
+      if (mode === "executesql" && body.trim()) {
+        return buildExecuteSqlCall(body, batchParams, parseResult, settings);
+      }
+      if (mode === "declare" && batchParams.length > 0) {
+        return `${buildDeclareBlock(batchParams, parseResult, settings)}${separator}${body}`;
+      }
+      return body;
+    });
+    let formattedOutput = batchOutputs.join("\nGO\n\n");
+
+    const navObjects = options && options.navAnnotations ? analyzeNavObjects(safeSql) : null;
+    const navHeader = navObjects ? navObjectsHeader(navObjects) : "";
+    if (navHeader && formattedOutput) {
+      formattedOutput = `${navHeader}\n${formattedOutput}`;
+    }
+
+    if (redaction) {
+      redactDiagnosticMessages(diagnostics, redaction);
+    }
+    const uniqueDiagnostics = dedupeDiagnostics(diagnostics);
+
+    return {
+      mode,
+      outputSql: formattedOutput,
+      warnings: diagnosticMessages(uniqueDiagnostics),
+      diagnostics: uniqueDiagnostics,
+      params: Array.from(parseResult.params.values()),
+      navObjects,
+      analysis: analyzeStatement(safeSql, parseResult.params),
+      statementCount,
+      batchCount: batches.length,
+      fallbackParams: sqlParams
+        .filter(function isFallback(sqlParam) {
+          return resolveParamDeclaration(sqlParam, parseResult).sqlType === "sql_variant";
+        })
+        .map(function nameOnly(sqlParam) {
+          return sqlParam.name;
+        }),
+    };
+  }
+
+  // Parenthesised numbers after these words are type arguments, not values: nvarchar(20), decimal(38,20).
+  const SIZED_TYPE_NAMES = [
+    "BINARY", "CHAR", "DATETIME2", "DATETIMEOFFSET", "DECIMAL", "FLOAT", "NCHAR", "NUMERIC", "NVARCHAR",
+    "TIME", "VARBINARY", "VARCHAR",
+  ];
+  // Parenthesised numbers after these words are options, not values: OPTION (FAST 50),
+  // WITH (INDEX(1)), IDENTITY(1,1).
+  const CONSTANT_ARGUMENT_WORDS = ["OPTION", "INDEX", "IDENTITY"];
+  // After these words a `-` before a number is a sign, not a subtraction: WHERE "A" BETWEEN -5 AND 5.
+  const UNARY_MINUS_KEYWORDS = ["SELECT", "WHERE", "AND", "OR", "WHEN", "THEN", "ELSE", "BETWEEN", "HAVING", "ON", "RETURN"];
+  // Words that end an ORDER BY list, after which numbers are values again (OFFSET @0 ROWS).
+  const ORDER_BY_END_KEYWORDS = ["OFFSET", "OPTION", "FOR", "UNION", "EXCEPT", "INTERSECT"];
+
+  /**
+   * Reverse of generate(): replaces the literals of a hard-coded query with @0..@n and
+   * builds the matching `exec sp_executesql` call. Literals that must stay constants are
+   * kept: type arguments, `TOP n` without parentheses, ORDER BY ordinals, query and index
+   * hints and IDENTITY seeds. Numbering continues after any placeholder already in the
+   * statement; such placeholders have no value and are reported as EXISTING_PLACEHOLDER.
+   * @param {string} sqlText
+   * @param {{narrowIntegers?: boolean, formatOptions?: FormatOptions}} [options]
+   * @returns {{sqlText: string, params: ParsedParam[], callText: string, warnings: string[], diagnostics: Diagnostic[]}}
+   */
+  function parameterise(sqlText, options) {
+    // Line breaks are kept: the statement travels inside the call string, and a `--` comment must still end.
+    const safeSql = (typeof sqlText === "string" ? sqlText : "").trim();
+    const tokens = tokenizeSql(safeSql).filter(function notComment(token) {
+      return token.type !== "comment";
+    });
+    const existingParams = collectSqlParameters(safeSql);
+    let nextIndex = existingParams.reduce(function highestIndex(highest, sqlParam) {
+      const numeric = sqlParam.name.match(/^@(\d+)$/);
+      return numeric ? Math.max(highest, Number(numeric[1]) + 1) : highest;
+    }, 0);
+
+    const contexts = [];
+    let orderByDepth = null;
+    const assignments = [];
+    let output = "";
+    let copiedUpTo = 0;
+
+    tokens.forEach(function visit(token, index) {
+      const previous = tokens[index - 1];
+      const word = upperWord(token);
+
+      if (token.value === "(") {
+        const opener = upperWord(previous);
+        const inherited = contexts.length ? contexts[contexts.length - 1] : null;
+        const constant = inherited === "constant" || CONSTANT_ARGUMENT_WORDS.includes(opener) || SIZED_TYPE_NAMES.includes(opener);
+        contexts.push(constant ? "constant" : "value");
+        return;
+      }
+      if (token.value === ")") {
+        contexts.pop();
+        if (orderByDepth !== null && contexts.length < orderByDepth) {
+          orderByDepth = null;
+        }
+        return;
+      }
+      if (word === "BY" && upperWord(previous) === "ORDER") {
+        orderByDepth = contexts.length;
+        return;
+      }
+      if (ORDER_BY_END_KEYWORDS.includes(word) || token.value === ";") {
+        orderByDepth = null;
+        return;
+      }
+      if (token.type !== "string" && token.type !== "number") {
+        return;
+      }
+
+      const constant = contexts[contexts.length - 1] === "constant";
+      const bareTop = token.type === "number" && upperWord(previous) === "TOP";
+      const ordinal = token.type === "number" && orderByDepth === contexts.length && previous &&
+        (upperWord(previous) === "BY" || previous.value === ",");
+      if (constant || bareTop || ordinal) {
+        return;
+      }
+
+      // A unary minus belongs to the value, so `x = -5` and `x = 5` share one placeholder shape.
+      const beforeSign = tokens[index - 2];
+      const negative = token.type === "number" && previous && previous.value === "-" && (
+        !beforeSign || beforeSign.type === "operator" || beforeSign.value === "(" || beforeSign.value === "," ||
+        UNARY_MINUS_KEYWORDS.includes(upperWord(beforeSign))
+      );
+
+      const name = `@${nextIndex}`;
+      nextIndex += 1;
+      assignments.push({ name, valueToken: negative ? `-${token.value}` : token.value });
+      output += safeSql.slice(copiedUpTo, negative ? previous.start : token.start) + name;
+      copiedUpTo = token.end;
+    });
+
+    const placeholderSql = output + safeSql.slice(copiedUpTo);
+    const params = resolveParams(assignments, new Map(), [], inferenceOptions(options));
+    const settings = resolveFormatOptions(options && options.formatOptions ? options.formatOptions : null);
+    const diagnostics = [];
+    for (const sqlParam of existingParams) {
+      pushDiagnostic(
+        diagnostics,
+        "EXISTING_PLACEHOLDER",
+        `${sqlParam.name} was already a placeholder in the query and has no value; passing NULL as sql_variant.`,
+        sqlParam.name,
+      );
+    }
+
+    return {
+      sqlText: placeholderSql,
+      params: Array.from(params.values()),
+      callText: placeholderSql
+        ? buildExecuteSqlCall(placeholderSql, collectSqlParameters(placeholderSql), { params, definitions: new Map() }, settings)
+        : "",
+      warnings: diagnosticMessages(diagnostics),
+      diagnostics,
+    };
+  }
+
+  // Cursor housekeeping calls that carry no statement: fetching rows, options and closing.
+  const CURSOR_ONLY_PROCEDURES = ["sp_cursorfetch", "sp_cursorclose", "sp_cursoroption"];
+
+  const TRACE_STATEMENT_START_RE = /^\s*(?:exec|execute|declare|set|select|go|use)\b/i;
+
+  /**
+   * Splits a Profiler / Extended Events text export into statements. A line break
+   * outside quoted text ends a statement when the next line starts a new one
+   * (`exec`, `declare`, `set`, `select`, `go`, `use`), so multi-line argument
+   * lists stay together.
+   * @param {string} traceText
+   * @returns {string[]}
+   */
+  function splitTraceStatements(traceText) {
+    const statements = [];
+    let start = 0;
+    let i = 0;
+
+    while (i < traceText.length) {
+      const char = traceText[i];
+
+      if (char === "'") {
+        i = consumeSingleQuoted(traceText, i);
+        continue;
+      }
+
+      if (char === '"') {
+        i = consumeDoubleQuoted(traceText, i);
+        continue;
+      }
+
+      if (char === "[") {
+        i = consumeBracketIdentifier(traceText, i);
+        continue;
+      }
+
+      if (char === "-" && traceText[i + 1] === "-") {
+        i = consumeLineComment(traceText, i);
+        continue;
+      }
+
+      if (char === "/" && traceText[i + 1] === "*") {
+        i = consumeBlockComment(traceText, i);
+        continue;
+      }
+
+      if (char === "\n" && TRACE_STATEMENT_START_RE.test(traceText.slice(i + 1, i + 200))) {
+        statements.push(traceText.slice(start, i));
+        start = i + 1;
+      }
+
+      i += 1;
+    }
+
+    statements.push(traceText.slice(start));
+    return statements
+      .map(function trimStatement(statement) {
+        return statement.trim();
+      })
+      .filter(Boolean);
+  }
+
+  function skippedResult(code, message) {
+    const diagnostics = [];
+    pushDiagnostic(diagnostics, code, message);
+    return {
+      mode: "declare",
+      outputSql: "",
+      warnings: [message],
+      diagnostics,
+      params: [],
+      navObjects: null,
+      analysis: analyzeStatement(""),
+      statementCount: 0,
+      batchCount: 0,
+      fallbackParams: [],
+    };
+  }
+
+  const TABLE_GUID_SUFFIX_RE = /\$[0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{12}/g;
+  const CURSOR_STATEMENT_WORDS = ["OPEN", "CLOSE", "DEALLOCATE"];
+
+  /**
+   * Names used as cursors: `DECLARE x CURSOR`, `OPEN x`, `CLOSE x`, `DEALLOCATE x`
+   * and `FETCH ... FROM x`.
+   */
+  function collectCursorNames(tokens) {
+    const names = new Set();
+    tokens.forEach(function findCursor(token, index) {
+      const next = tokens[index + 1];
+      const word = upperWord(token);
+      if (!next || !isNameToken(next)) {
+        return;
+      }
+      if ((word === "DECLARE" && upperWord(tokens[index + 2]) === "CURSOR") || CURSOR_STATEMENT_WORDS.includes(word)) {
+        names.add(next.value.toLowerCase());
+      } else if (word === "FROM" && tokens.slice(Math.max(0, index - 5), index).some(function isFetch(previous) {
+        return upperWord(previous) === "FETCH";
+      })) {
+        names.add(next.value.toLowerCase());
+      }
+    });
+    return names;
+  }
+
+  /** 32-bit FNV-1a over UTF-16 code units, as 8 hex digits. */
+  function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i += 1) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+
+  /**
+   * Reduces a statement to its shape: placeholders and literals become `?`, IN lists
+   * collapse to one `?`, keywords are upper-cased, whitespace and comments are dropped,
+   * and cursor names and extension GUID table suffixes are removed.
+   * @param {string} sqlText
+   * @returns {{fingerprint: string, normalized: string}}
+   */
+  function fingerprintSql(sqlText) {
+    const placeholderFree = transformSqlParameters(normalizeSqlLineBreaks(sqlText || ""), function toMarker() {
+      return "?";
+    });
+    const tokens = tokenizeSql(placeholderFree).filter(function notComment(token) {
+      return token.type !== "comment";
+    });
+    const cursorNames = collectCursorNames(tokens);
+
+    const parts = [];
+    // One entry per open parenthesis: true when it opens an IN list.
+    const inLists = [];
+    for (const token of tokens) {
+      let text;
+      if (token.type === "string" || token.type === "number" || token.type === "param" || token.value === "?") {
+        text = "?";
+      } else if (isNameToken(token) && cursorNames.has(token.value.toLowerCase())) {
+        text = "<cursor>";
+      } else if (token.type === "identifier") {
+        text = `"${token.value.replace(TABLE_GUID_SUFFIX_RE, "")}"`;
+      } else if (token.type === "word") {
+        text = token.value.toUpperCase();
+      } else {
+        text = token.value;
+      }
+
+      if (text === "(") {
+        inLists.push(parts[parts.length - 1] === "IN");
+      } else if (text === ")") {
+        inLists.pop();
+      }
+
+      // `IN (?, ?, ?)` and `IN (?)` are the same shape; other argument lists keep their length.
+      if (text === "?" && inLists[inLists.length - 1] && parts[parts.length - 1] === "," && parts[parts.length - 2] === "?") {
+        parts.pop();
+        continue;
+      }
+      parts.push(text);
+    }
+
+    const normalized = parts.join(" ");
+    return { fingerprint: hashText(normalized), normalized };
+  }
+
+  /**
+   * @typedef {Object} StatementGroup
+   * @property {string} fingerprint
+   * @property {string} normalized
+   * @property {number} count
+   * @property {string} example SQL text of the first statement in the group.
+   * @property {number[]} statements Statement numbers in the group.
+   * @property {Object<string, string>[]} parameterSets Distinct parameter values, by name.
+   */
+
+  /**
+   * Groups statements that share a fingerprint, most frequent shape first.
+   * @param {{number: number, sqlText: string, result: GenerationResult}[]} statements
+   * @returns {StatementGroup[]}
+   */
+  function groupStatements(statements) {
+    const groups = new Map();
+    const seenSets = new Map();
+
+    for (const statement of statements) {
+      if (!statement.sqlText || !statement.sqlText.trim()) {
+        continue;
+      }
+
+      const shape = fingerprintSql(statement.sqlText);
+      if (!groups.has(shape.fingerprint)) {
+        groups.set(shape.fingerprint, {
+          fingerprint: shape.fingerprint,
+          normalized: shape.normalized,
+          count: 0,
+          example: statement.sqlText.trim(),
+          statements: [],
+          parameterSets: [],
+        });
+        seenSets.set(shape.fingerprint, new Set());
+      }
+
+      const group = groups.get(shape.fingerprint);
+      group.count += 1;
+      group.statements.push(statement.number);
+      const values = {};
+      for (const param of statement.result.params) {
+        values[param.name] = param.normalizedLiteral || param.rawToken;
+      }
+      const setKey = JSON.stringify(values);
+      if (!seenSets.get(shape.fingerprint).has(setKey)) {
+        seenSets.get(shape.fingerprint).add(setKey);
+        group.parameterSets.push(values);
+      }
+    }
+
+    return Array.from(groups.values()).sort(function byCount(a, b) {
+      return b.count - a.count;
+    });
+  }
+
+  /**
+   * Runs every sp_executesql / sp_prepexec / sp_execute call of a trace export through
+   * the generator. Prepared handles are tracked (`set @p1=27` + `sp_prepare @p1 output`,
+   * then `sp_execute 27, ...`) so each execute is matched to its statement text.
+   * `set @p1=NULL` leaves the variable without a handle until the next numeric `set`.
+   * @param {string} traceText
+   * @param {GenerateOptions} [options]
+   * Batch diagnostics carry the statement number; their ranges point into that statement's own call text.
+   * @returns {{outputSql: string, statements: {number: number, procedure: string, handle: string | null, sqlText: string, result: GenerationResult}[], groups: StatementGroup[], warnings: string[], diagnostics: Diagnostic[]}}
+   */
+  function generateBatch(traceText, options) {
+    // One replacement table for the whole trace keeps equal values equal across statements.
+    const runOptions = options && options.redact
+      ? Object.assign({}, options, { redact: createRedaction(options.redact) })
+      : options;
+    const variables = new Map();
+    const prepared = new Map();
+    const statements = [];
+
+    function resolveHandle(handle) {
+      if (!handle) {
+        return null;
+      }
+      const key = normalizeParamName(handle);
+      // A variable set to NULL (RPC:Starting captures) has no handle yet, not the previous one.
+      return variables.has(key) ? variables.get(key) : handle;
+    }
+
+    for (const text of splitTraceStatements(typeof traceText === "string" ? traceText : "")) {
+      const setMatch = text.match(/^set\s+(@[A-Za-z0-9_#$]+)\s*=\s*([^;]*?)\s*;?$/i);
+      if (setMatch) {
+        variables.set(normalizeParamName(setMatch[1]), /^[+-]?\d+$/.test(setMatch[2]) ? setMatch[2] : null);
+        continue;
+      }
+
+      const execMatch = text.match(/^exec(?:ute)?\s+(?:\[?\w+\]?\.)*\[?(sp_\w+)\]?/i);
+      const procedure = execMatch ? execMatch[1].toLowerCase() : null;
+
+      if (procedure === "sp_unprepare" || procedure === "sp_cursorunprepare") {
+        const handleMatch = text.match(/sp_(?:cursor)?unprepare\]?\s+([@\w]+)/i);
+        prepared.delete(resolveHandle(handleMatch ? handleMatch[1] : null));
+        continue;
+      }
+
+      if (CURSOR_ONLY_PROCEDURES.includes(procedure)) {
+        continue;
+      }
+
+      if (CALL_LAYOUTS[procedure] && CALL_LAYOUTS[procedure].handle !== null) {
+        const call = parseProcedureCall(text);
+        const handle = resolveHandle(call.handle);
+        if (handle) {
+          prepared.set(handle, {
+            sqlText: call.sqlText,
+            definitions: parseParameterDefinitions(call.definitionText || "") || new Map(),
+          });
+        }
+        if (CALL_LAYOUTS[procedure].values !== null) {
+          statements.push({ procedure, handle, sqlText: call.sqlText, result: generateFromCall(text, runOptions) });
+        }
+        continue;
+      }
+
+      if (procedure === "sp_executesql" || procedure === "sp_cursoropen") {
+        statements.push({
+          procedure,
+          handle: null,
+          sqlText: parseProcedureCall(text).sqlText,
+          result: generateFromCall(text, runOptions),
+        });
+        continue;
+      }
+
+      if (EXECUTE_LAYOUTS[procedure]) {
+        const parseResult = parseExecStatement(normalizeExecLineBreaks(text), inferenceOptions(runOptions));
+        const handle = resolveHandle(parseResult.handle);
+        const source = prepared.get(handle);
+        const result = source
+          ? buildGenerationResult(
+            source.sqlText,
+            parseExecStatement(
+              normalizeExecLineBreaks(text),
+              Object.assign(inferenceOptions(runOptions), { definitions: source.definitions }),
+            ),
+            runOptions,
+          )
+          : skippedResult(
+            "UNKNOWN_HANDLE",
+            `No sp_prepare or sp_prepexec was found for handle ${handle || parseResult.handle}; statement skipped.`,
+          );
+        locateDiagnostics(result.diagnostics, null, text, source ? source.definitions : null);
+        statements.push({ procedure, handle, sqlText: source ? source.sqlText : "", result });
+      }
+    }
+
+    const blocks = [];
+    const diagnostics = [];
+
+    statements.forEach(function numberStatement(statement, index) {
+      statement.number = index + 1;
+      const handleNote = statement.handle ? `, handle ${statement.handle}` : "";
+      const header = `-- Statement ${statement.number} (${statement.procedure}${handleNote})`;
+      blocks.push(
+        statement.result.outputSql
+          ? `${header}\n${statement.result.outputSql}`
+          : `${header}\n-- No statement text available; see warnings.`,
+      );
+
+      for (const diagnostic of statement.result.diagnostics) {
+        const copy = Object.assign({}, diagnostic, { statement: statement.number });
+        let message = diagnostic.message;
+        if (diagnostic.statement !== undefined) {
+          copy.innerStatement = diagnostic.statement;
+          message = message.slice(`Statement ${diagnostic.statement}: `.length);
+        }
+        copy.message = `Statement ${statement.number}: ${message}`;
+        diagnostics.push(copy);
+      }
+    });
+
+    if (statements.length === 0) {
+      pushDiagnostic(
+        diagnostics,
+        "NO_TRACE_CALLS",
+        "No sp_executesql, sp_prepexec or sp_execute calls were found in the trace text.",
+      );
+    }
+
+    return {
+      outputSql: blocks.join("\nGO\n\n"),
+      statements,
+      groups: groupStatements(statements),
+      warnings: diagnosticMessages(diagnostics),
+      diagnostics,
+    };
+  }
+
+  /**
+   * @typedef {Object} GenerateRequest
+   * @property {number} id Echoed in the response so stale answers can be dropped.
+   * @property {"split" | "call" | "batch"} inputMode
+   * @property {string} [sql]
+   * @property {string} [exec]
+   * @property {string} [call]
+   * @property {string} [batch]
+   * @property {GenerateOptions} options Without a formatter; functions cannot be posted to a worker.
+   */
+
+  function currentTime() {
+    return global.performance && typeof global.performance.now === "function" ? global.performance.now() : Date.now();
+  }
+
+  /**
+   * Runs generate(), generateFromCall() or generateBatch() for one request and times it.
+   * Formatter calls are timed separately; everything else counts as parsing.
+   * @param {GenerateRequest} request
+   * @param {{format: Function}} [formatter] Defaults to the global sqlFormatter.
+   * @param {() => number} [clock] Milliseconds; defaults to performance.now().
+   * @returns {{id: number, inputMode: string, result: GenerationResult | ReturnType<typeof generateBatch>, timings: {parseMs: number, formatMs: number, totalMs: number}}}
+   */
+  function runGenerateRequest(request, formatter, clock) {
+    const now = clock || currentTime;
+    const baseFormatter = formatter || global.sqlFormatter;
+    let formatMs = 0;
+    const timedFormatter = baseFormatter && typeof baseFormatter.format === "function"
+      ? {
+        format: function timedFormat(sql, formatOptions) {
+          const started = now();
+          try {
+            return baseFormatter.format(sql, formatOptions);
+          } finally {
+            formatMs += now() - started;
+          }
+        },
+      }
+      : null;
+    const options = Object.assign({}, request.options, { formatter: timedFormatter });
+
+    const started = now();
+    let result;
+    if (request.inputMode === "batch") {
+      result = generateBatch(request.batch || "", options);
+    } else if (request.inputMode === "call") {
+      result = generateFromCall(request.call || "", options);
+    } else {
+      result = generate(request.sql || "", request.exec || "", options);
+    }
+    const totalMs = now() - started;
+
+    return {
+      id: request.id,
+      inputMode: request.inputMode,
+      result,
+      timings: { parseMs: Math.max(0, totalMs - formatMs), formatMs, totalMs },
+    };
+  }
+
+  /** Entry point when app.js is loaded as the live preview worker. */
+  function startPreviewWorker() {
+    try {
+      global.importScripts("vendor/sql-formatter.min.js");
+    } catch (_error) {
+      // Without the formatter, results carry FORMATTER_UNAVAILABLE and stay unformatted.
+    }
+    global.addEventListener("message", function onRequest(event) {
+      let response;
+      try {
+        response = runGenerateRequest(event.data);
+      } catch (error) {
+        // Answered rather than thrown, so the page can tell a failed run from a worker that failed to load.
+        response = { id: event.data.id, error: error && error.message ? error.message : String(error) };
+      }
+      global.postMessage(response);
+    });
+  }
+
+  /**
+   * @typedef {Object} DiffSegment
+   * @property {"same" | "removed" | "added"} type
+   * @property {string} text Normalised tokens joined by single spaces.
+   */
+
+  // 4 million Uint32 cells (16 MB); a pair of multi-thousand-token statements stays exact.
+  const DIFF_MAX_CELLS = 4000000;
+
+  function diffTokens(sqlText) {
+    const safeSql = normalizeSqlLineBreaks(sqlText || "");
+    return tokenizeSql(safeSql)
+      .filter(function notComment(token) {
+        return token.type !== "comment";
+      })
+      .map(function tokenText(token) {
+        if (token.type === "identifier") {
+          return safeSql.slice(token.start, token.end);
+        }
+        return token.type === "word" ? token.value.toUpperCase() : token.value;
+      });
+  }
+
+  /**
+   * Token-level diff of two statements. Keywords are upper-cased and whitespace and
+   * comments are ignored, so reformatting alone shows no difference. When the differing
+   * middle parts are too large for the LCS table, they are reported as one removed and one
+   * added segment between the common prefix and suffix.
+   * @param {string} leftSql
+   * @param {string} rightSql
+   * @returns {DiffSegment[]}
+   */
+  function diffSqlTokens(leftSql, rightSql) {
+    const left = diffTokens(leftSql);
+    const right = diffTokens(rightSql);
+
+    let prefix = 0;
+    while (prefix < left.length && prefix < right.length && left[prefix] === right[prefix]) {
+      prefix += 1;
+    }
+    let suffix = 0;
+    while (
+      suffix < left.length - prefix &&
+      suffix < right.length - prefix &&
+      left[left.length - 1 - suffix] === right[right.length - 1 - suffix]
+    ) {
+      suffix += 1;
+    }
+
+    const leftMiddle = left.slice(prefix, left.length - suffix);
+    const rightMiddle = right.slice(prefix, right.length - suffix);
+    const columns = rightMiddle.length + 1;
+    const cells = (leftMiddle.length + 1) * columns;
+    // lengths[i * columns + j]: longest common subsequence of leftMiddle[i..] and rightMiddle[j..].
+    const lengths = cells <= DIFF_MAX_CELLS ? new Uint32Array(cells) : null;
+    for (let i = lengths ? leftMiddle.length - 1 : -1; i >= 0; i -= 1) {
+      for (let j = rightMiddle.length - 1; j >= 0; j -= 1) {
+        lengths[i * columns + j] = leftMiddle[i] === rightMiddle[j]
+          ? lengths[(i + 1) * columns + j + 1] + 1
+          : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+      }
+    }
+
+    const operations = left.slice(0, prefix).map(function same(text) {
+      return { type: "same", text };
+    });
+    let i = 0;
+    let j = 0;
+    while (i < leftMiddle.length || j < rightMiddle.length) {
+      if (lengths && i < leftMiddle.length && j < rightMiddle.length && leftMiddle[i] === rightMiddle[j]) {
+        operations.push({ type: "same", text: leftMiddle[i] });
+        i += 1;
+        j += 1;
+      } else if (i < leftMiddle.length &&
+        (j === rightMiddle.length || !lengths || lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1])) {
+        operations.push({ type: "removed", text: leftMiddle[i] });
+        i += 1;
+      } else {
+        operations.push({ type: "added", text: rightMiddle[j] });
+        j += 1;
+      }
+    }
+    for (const text of left.slice(left.length - suffix)) {
+      operations.push({ type: "same", text });
+    }
+
+    const segments = [];
+    for (const operation of operations) {
+      const last = segments[segments.length - 1];
+      if (last && last.type === operation.type) {
+        last.text += ` ${operation.text}`;
+      } else {
+        segments.push({ type: operation.type, text: operation.text });
+      }
+    }
+    return segments;
+  }
+
+  /**
+   * @typedef {Object} ParamDifference
+   * @property {string} name
+   * @property {{value: string | null, sqlType: string} | null} left Null when the side has no value.
+   * @property {{value: string | null, sqlType: string} | null} right
+   * @property {boolean} valueChanged
+   * @property {boolean} typeChanged
+   */
+
+  /**
+   * Type a parsed parameter ends up with: declared, then schema, then confident inference.
+   * @param {ParsedParam} param
+   * @returns {string}
+   */
+  function effectiveParamType(param) {
+    const inferred = param.normalizedLiteral && param.confidence ? param.inferredType : null;
+    return param.declaredType || param.schemaType || inferred || "sql_variant";
+  }
+
+  function comparedParam(param) {
+    if (!param) {
+      return null;
+    }
+    return {
+      value: param.normalizedLiteral || param.rawToken || null,
+      sqlType: effectiveParamType(param),
+    };
+  }
+
+  /**
+   * Lists the parameters whose value or type differs between two results.
+   * @param {GenerationResult} leftResult
+   * @param {GenerationResult} rightResult
+   * @returns {ParamDifference[]}
+   */
+  function compareParams(leftResult, rightResult) {
+    const names = new Map();
+    for (const param of leftResult.params.concat(rightResult.params)) {
+      const key = normalizeParamName(param.name);
+      if (!names.has(key)) {
+        names.set(key, param.name);
+      }
+    }
+
+    function findParam(result, key) {
+      return result.params.find(function hasKey(param) {
+        return normalizeParamName(param.name) === key;
+      });
+    }
+
+    const differences = [];
+    for (const [key, name] of names.entries()) {
+      const left = comparedParam(findParam(leftResult, key));
+      const right = comparedParam(findParam(rightResult, key));
+      const valueChanged = !left || !right || left.value !== right.value;
+      const typeChanged = !left || !right || left.sqlType !== right.sqlType;
+      if (valueChanged || typeChanged) {
+        differences.push({ name, left, right, valueChanged, typeChanged });
+      }
+    }
+
+    return differences.sort(function byPlaceholderNumber(a, b) {
+      const aNumber = Number((a.name.match(/^@(\d+)$/) || [])[1]);
+      const bNumber = Number((b.name.match(/^@(\d+)$/) || [])[1]);
+      if (Number.isInteger(aNumber) && Number.isInteger(bNumber)) {
+        return aNumber - bNumber;
+      }
+      return a.name.localeCompare(b.name);
+    });
+  }
+
+  /**
+   * Runs two inputs through the generator and compares them. An input is either a
+   * `{sql, exec}` pair or a `{call}` single trace call.
+   * @param {{sql?: string, exec?: string, call?: string}} leftInput
+   * @param {{sql?: string, exec?: string, call?: string}} rightInput
+   * @param {GenerateOptions} [options]
+   * @returns {{left: GenerationResult, right: GenerationResult, sqlDiff: DiffSegment[], sameSql: boolean, paramDifferences: ParamDifference[]}}
+   */
+  function compareQueries(leftInput, rightInput, options) {
+    function run(input) {
+      if (typeof input.call === "string") {
+        return { sql: parseProcedureCall(input.call).sqlText, result: generateFromCall(input.call, options) };
+      }
+      return { sql: input.sql || "", result: generate(input.sql, input.exec, options) };
+    }
+
+    const left = run(leftInput);
+    const right = run(rightInput);
+    const sqlDiff = diffSqlTokens(left.sql, right.sql);
+
+    return {
+      left: left.result,
+      right: right.result,
+      sqlDiff,
+      sameSql: sqlDiff.every(function isSame(segment) {
+        return segment.type === "same";
+      }),
+      paramDifferences: compareParams(left.result, right.result),
+    };
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function escapeMarkdownCell(text) {
+    return String(text == null ? "" : text).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+  }
+
+  /**
+   * One row per parsed parameter: raw value, effective type and the warnings that name it.
+   * @param {GenerationResult} result
+   * @returns {{name: string, rawValue: string, sqlType: string, warnings: string[]}[]}
+   */
+  function exportParamRows(result) {
+    return result.params.map(function toRow(param) {
+      const key = normalizeParamName(param.name);
+      return {
+        name: param.name,
+        rawValue: param.rawToken,
+        sqlType: effectiveParamType(param),
+        warnings: result.diagnostics
+          .filter(function isAboutParam(diagnostic) {
+            return diagnostic.param && normalizeParamName(diagnostic.param) === key;
+          })
+          .map(function messageOnly(diagnostic) {
+            return diagnostic.message;
+          }),
+      };
+    });
+  }
+
+  /**
+   * Diagnostics the parameter table does not show: those without a parameter and those
+   * about parameters that have no value row, such as MISSING_VALUE.
+   */
+  function generalDiagnostics(result) {
+    const rowKeys = new Set(result.params.map(function keyOnly(param) {
+      return normalizeParamName(param.name);
+    }));
+    return result.diagnostics.filter(function isGeneral(diagnostic) {
+      return !diagnostic.param || !rowKeys.has(normalizeParamName(diagnostic.param));
+    });
+  }
+
+  /** A code fence longer than any backtick run in the text, so values cannot close it. */
+  function markdownFence(text) {
+    const longestRun = (text.match(/`+/g) || []).reduce(function longest(length, run) {
+      return Math.max(length, run.length);
+    }, 0);
+    return "`".repeat(Math.max(3, longestRun + 1));
+  }
+
+  /** Splits a single or batch result into titled sections. */
+  function exportSections(result) {
+    if (!result.statements) {
+      return [{ title: null, result }];
+    }
+    return result.statements.map(function toSection(statement) {
+      const handleNote = statement.handle ? `, handle ${statement.handle}` : "";
+      return { title: `Statement ${statement.number} (${statement.procedure}${handleNote})`, result: statement.result };
+    });
+  }
+
+  /**
+   * Markdown snippet for tickets: fenced SQL plus a parameter table per statement.
+   * @param {GenerationResult | ReturnType<typeof generateBatch>} result
+   * @returns {string}
+   */
+  function exportMarkdown(result) {
+    const lines = [];
+
+    for (const section of exportSections(result)) {
+      if (section.title) {
+        lines.push(`### ${section.title}`, "");
+      }
+      const sql = section.result.outputSql || "";
+      const fence = markdownFence(sql);
+      lines.push(`${fence}sql`, sql, fence, "");
+
+      const rows = exportParamRows(section.result);
+      if (rows.length) {
+        lines.push("| Parameter | Raw value | Type | Warning |", "| --- | --- | --- | --- |");
+        for (const row of rows) {
+          const cells = [row.name, row.rawValue, row.sqlType, row.warnings.join(" ")].map(escapeMarkdownCell);
+          lines.push(`| ${cells.join(" | ")} |`);
+        }
+        lines.push("");
+      }
+
+      const otherWarnings = generalDiagnostics(section.result);
+      if (otherWarnings.length) {
+        lines.push("Warnings:", "");
+        for (const diagnostic of otherWarnings) {
+          lines.push(`- ${diagnostic.message}`);
+        }
+        lines.push("");
+      }
+    }
+
+    return `${lines.join("\n").trim()}\n`;
+  }
+
+  function highlightedHtml(sqlText) {
+    return highlightSql(sqlText || "").map(function segmentHtml(segment) {
+      const text = escapeHtml(segment.text);
+      return segment.className ? `<span class="sql-${segment.className}">${text}</span>` : text;
+    }).join("");
+  }
+
+  const REPORT_STYLES = [
+    "body{font-family:\"Segoe UI\",sans-serif;color:#1f2933;margin:2rem;}",
+    "pre{background:#fefefe;border:1px solid #c6d3de;border-radius:0.5rem;padding:0.8rem;overflow:auto;}",
+    "table{border-collapse:collapse;}th,td{border:1px solid #c6d3de;padding:0.25rem 0.6rem;text-align:left;}",
+    "td{font-family:Consolas,monospace;}",
+    ".sql-keyword{color:#1d4ed8;font-weight:600;}.sql-identifier{color:#7c2d12;}.sql-string{color:#047857;}",
+    ".sql-number{color:#9333ea;}.sql-comment{color:#506172;font-style:italic;}.sql-param{color:#115e59;font-weight:700;}",
+    ".warnings{color:#8f3d00;}",
+  ].join("");
+
+  /**
+   * Self-contained HTML report with highlighted SQL, parameters and warnings.
+   * @param {GenerationResult | ReturnType<typeof generateBatch>} result
+   * @param {string} [title]
+   * @returns {string}
+   */
+  function exportHtml(result, title) {
+    const heading = escapeHtml(title || "NAV SQL trace report");
+    const body = [`<h1>${heading}</h1>`];
+
+    for (const section of exportSections(result)) {
+      if (section.title) {
+        body.push(`<h2>${escapeHtml(section.title)}</h2>`);
+      }
+      body.push(`<pre>${highlightedHtml(section.result.outputSql)}</pre>`);
+
+      const rows = exportParamRows(section.result);
+      if (rows.length) {
+        body.push("<table><thead><tr><th>Parameter</th><th>Raw value</th><th>Type</th><th>Warning</th></tr></thead><tbody>");
+        for (const row of rows) {
+          const cells = [row.name, row.rawValue, row.sqlType, row.warnings.join(" ")].map(function cellHtml(text) {
+            return `<td>${escapeHtml(text)}</td>`;
+          });
+          body.push(`<tr>${cells.join("")}</tr>`);
+        }
+        body.push("</tbody></table>");
+      }
+
+      const otherWarnings = generalDiagnostics(section.result);
+      if (otherWarnings.length) {
+        body.push('<ul class="warnings">');
+        for (const diagnostic of otherWarnings) {
+          body.push(`<li>${escapeHtml(diagnostic.message)}</li>`);
+        }
+        body.push("</ul>");
+      }
+    }
+
+    return [
+      "<!DOCTYPE html>",
+      '<html lang="en">',
+      "<head>",
+      '<meta charset="UTF-8" />',
+      `<title>${heading}</title>`,
+      `<style>${REPORT_STYLES}</style>`,
+      "</head>",
+      "<body>",
+      body.join("\n"),
+      "</body>",
+      "</html>",
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * The full result as JSON, for other tools.
+   * @param {GenerationResult | ReturnType<typeof generateBatch>} result
+   * @returns {string}
+   */
+  function exportJson(result) {
+    return `${JSON.stringify(result, null, 2)}\n`;
+  }
+
+  function emptyInputState() {
+    return { sql: "", exec: "", call: "", inputMode: "split", outputMode: "declare", sourceComments: "", navAnnotations: "", narrowIntegers: "", redactValues: "", formatOptions: "" };
+  }
+
+  function parseStoredFormatOptions(text) {
+    if (!text) {
+      return resolveFormatOptions(null);
+    }
+
+    try {
+      return resolveFormatOptions(JSON.parse(text));
+    } catch (_error) {
+      return resolveFormatOptions(null);
+    }
+  }
+
+  function saveInputState(state) {
+    if (!global.localStorage) {
+      return;
+    }
+
+    try {
+      for (const field of Object.keys(STORAGE_KEYS)) {
+        global.localStorage.setItem(STORAGE_KEYS[field], state[field] || "");
+      }
+    } catch (_error) {
+      // Ignore storage errors (private mode / quota).
+    }
+  }
+
+  function loadInputState() {
+    const state = emptyInputState();
+    if (!global.localStorage) {
+      return state;
+    }
+
+    try {
+      for (const field of Object.keys(STORAGE_KEYS)) {
+        state[field] = global.localStorage.getItem(STORAGE_KEYS[field]) || state[field];
+      }
+    } catch (_error) {
+      return emptyInputState();
+    }
+
+    if (!INPUT_MODES.includes(state.inputMode)) {
+      state.inputMode = "split";
+    }
+    if (!OUTPUT_MODES.includes(state.outputMode)) {
+      state.outputMode = "declare";
+    }
+    return state;
+  }
+
+  function clearInputState() {
+    if (!global.localStorage) {
+      return;
+    }
+
+    try {
+      for (const field of Object.keys(STORAGE_KEYS)) {
+        global.localStorage.removeItem(STORAGE_KEYS[field]);
+      }
+    } catch (_error) {
+      // Ignore storage errors.
+    }
+  }
+
+  // Split-mode EXEC input may be bare `@0=N'x', @1=5` assignments without a procedure: every argument is a value.
+  const BARE_VALUES_LAYOUT = { handle: null, definitions: null, statement: null, values: 0 };
+
+  /**
+   * Redacts the values of every sp_ call in one trace statement; a `;` at depth 0 ends a call.
+   * @param {string} statementText
+   * @param {ReturnType<typeof createRedaction>} redaction
+   * @param {Object | null} valuesLayout Layout used outside sp_ calls; null leaves that text alone.
+   * @returns {string}
+   */
+  function redactCallValues(statementText, redaction, valuesLayout) {
+    const tokens = tokenizeSql(statementText);
+    let output = "";
+    let copiedUpTo = 0;
+    let layout = valuesLayout;
+    let depth = 0;
+    let positionalIndex = 0;
+    let keepArgument = false;
+    let argumentStart = Boolean(valuesLayout);
+
+    for (let index = 0; index < tokens.length; index += 1) {
+      const token = tokens[index];
+
+      if (!layout) {
+        if (token.type === "word" && /^sp_\w+$/i.test(token.value)) {
+          const procedure = token.value.toLowerCase();
+          layout = CALL_LAYOUTS[procedure] || EXECUTE_LAYOUTS[procedure] || EXECUTE_LAYOUTS.sp_execute;
+          depth = 0;
+          positionalIndex = 0;
+          argumentStart = true;
+        }
+        continue;
+      }
+
+      if (argumentStart) {
+        argumentStart = false;
+        const next = tokens[index + 1];
+        if (token.value.startsWith("@") && next && next.value === "=") {
+          keepArgument = Boolean(NAMED_CALL_ARGUMENTS[token.value.toLowerCase()]) ||
+            redaction.keepParams.has(normalizeParamName(token.value));
+        } else {
+          // Everything before the values (handles, statement, definitions, cursor options) is kept.
+          keepArgument = layout.values === null || positionalIndex < layout.values;
+          positionalIndex += 1;
+        }
+      }
+
+      if (token.value === "(") {
+        depth += 1;
+      } else if (token.value === ")") {
+        depth -= 1;
+      } else if (token.value === "," && depth === 0) {
+        argumentStart = true;
+      } else if (token.value === ";" && depth === 0) {
+        layout = valuesLayout;
+        positionalIndex = 0;
+        argumentStart = Boolean(valuesLayout);
+      } else if (!keepArgument && (token.type === "string" || token.type === "number")) {
+        output += statementText.slice(copiedUpTo, token.start) + redactValueToken(token.value, redaction);
+        copiedUpTo = token.end;
+      }
+    }
+
+    return output + statementText.slice(copiedUpTo);
+  }
+
+  /**
+   * Replaces the parameter values of every `exec sp_execute` / `sp_executesql` / `sp_prepexec`
+   * call in the trace text with synthetic values, as the redact option of generate() does.
+   * The handles, embedded statements and parameter-definition strings are kept so the calls
+   * still parse. Text without any sp_ call is taken as bare `@name=value` assignments.
+   * @param {string} traceText
+   * @param {boolean | RedactionRules} [rules]
+   * @returns {string}
+   */
+  function redactTraceValues(traceText, rules) {
+    const text = traceText || "";
+    const redaction = createRedaction(rules);
+    const hasCall = tokenizeSql(text).some(function isProcedure(token) {
+      return token.type === "word" && /^sp_\w+$/i.test(token.value);
+    });
+    let output = "";
+    let copiedUpTo = 0;
+
+    for (const statement of splitTraceStatements(text)) {
+      const start = text.indexOf(statement, copiedUpTo);
+      output += text.slice(copiedUpTo, start) + redactCallValues(statement, redaction, hasCall ? null : BARE_VALUES_LAYOUT);
+      copiedUpTo = start + statement.length;
+    }
+
+    return output + text.slice(copiedUpTo);
+  }
+
+  async function transformBytes(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  function bytesToBase64Url(bytes) {
+    let binary = "";
+    for (const byte of bytes) {
+      binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  function base64UrlToBytes(text) {
+    const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    return Uint8Array.from(binary, function charCode(char) {
+      return char.charCodeAt(0);
+    });
+  }
+
+  /**
+   * Encodes input state into a URL fragment (without the leading `#`). The JSON is
+   * deflate-compressed when the platform has CompressionStream, plain otherwise; the
+   * first character after `share=` records which.
+   * @param {Object<string, string>} state Input state as passed to saveInputState().
+   * @returns {Promise<string>}
+   */
+  async function encodeShareFragment(state) {
+    const shared = {};
+    for (const field of Object.keys(STORAGE_KEYS)) {
+      if (state[field]) {
+        shared[field] = state[field];
+      }
+    }
+    const bytes = new TextEncoder().encode(JSON.stringify(shared));
+
+    if (typeof CompressionStream === "function") {
+      const compressed = await transformBytes(bytes, new CompressionStream("deflate-raw"));
+      return `${SHARE_FRAGMENT_PREFIX}z${bytesToBase64Url(compressed)}`;
+    }
+    return `${SHARE_FRAGMENT_PREFIX}j${bytesToBase64Url(bytes)}`;
+  }
+
+  /**
+   * Reverses encodeShareFragment(). Returns null for fragments that are not share links
+   * or cannot be decoded.
+   * @param {string} fragment `location.hash`, with or without the leading `#`.
+   * @returns {Promise<Object<string, string> | null>}
+   */
+  async function decodeShareFragment(fragment) {
+    const text = (fragment || "").replace(/^#/, "");
+    if (!text.startsWith(SHARE_FRAGMENT_PREFIX)) {
+      return null;
+    }
+
+    const encoding = text[SHARE_FRAGMENT_PREFIX.length];
+    try {
+      let bytes = base64UrlToBytes(text.slice(SHARE_FRAGMENT_PREFIX.length + 1));
+      if (encoding === "z") {
+        if (typeof DecompressionStream !== "function") {
+          return null;
+        }
+        bytes = await transformBytes(bytes, new DecompressionStream("deflate-raw"));
+      } else if (encoding !== "j") {
+        return null;
+      }
+
+      const shared = JSON.parse(new TextDecoder().decode(bytes));
+      const state = emptyInputState();
+      for (const field of Object.keys(STORAGE_KEYS)) {
+        if (typeof shared[field] === "string") {
+          state[field] = shared[field];
+        }
+      }
+      return state;
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  /**
+   * @typedef {Object} HistoryEntry
+   * @property {string} id
+   * @property {string} timestamp ISO time of the Generate run.
+   * @property {Object<string, string>} state Input state as passed to saveInputState().
+   * @property {string} batch Trace file text for batch runs, "" otherwise.
+   * @property {boolean} batchOmitted The trace file was longer than HISTORY_BATCH_MAX_LENGTH and was not kept.
+   * @property {string | null} firstTable
+   * @property {number} paramCount
+   * @property {number} warningCount
+   * @property {boolean} pinned Pinned entries are never dropped by the size cap.
+   * @property {string} label
+   */
+
+  /**
+   * Summarises a Generate run for the history list.
+   * @param {Object<string, string>} state
+   * @param {string} batch
+   * @param {GenerationResult | {statements: {result: GenerationResult}[], warnings: string[]}} result
+   * @param {Date} [now]
+   * @returns {HistoryEntry}
+   */
+  function createHistoryEntry(state, batch, result, now) {
+    const results = result.statements
+      ? result.statements.map(function resultOnly(statement) {
+        return statement.result;
+      })
+      : [result];
+    const firstTable = results.reduce(function findTable(found, item) {
+      return found || (item.analysis.tables[0] ? item.analysis.tables[0].name : null);
+    }, null);
+    const timestamp = (now || new Date()).toISOString();
+    const batchOmitted = Boolean(batch) && batch.length > HISTORY_BATCH_MAX_LENGTH;
+
+    return {
+      id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp,
+      state: Object.assign({}, state),
+      batch: batchOmitted ? "" : batch || "",
+      batchOmitted,
+      firstTable,
+      paramCount: results.reduce(function countParams(total, item) {
+        return total + item.params.length;
+      }, 0),
+      warningCount: result.warnings.length,
+      pinned: false,
+      label: "",
+    };
+  }
+
+  function historyInputText(entry) {
+    if (entry.state.inputMode === "batch") {
+      return entry.batch;
+    }
+    if (entry.state.inputMode === "call") {
+      return entry.state.call || "";
+    }
+    return `${entry.state.sql || ""}\n${entry.state.exec || ""}`;
+  }
+
+  function sameHistoryInput(left, right) {
+    if (left.batchOmitted || right.batchOmitted) {
+      return false;
+    }
+    return left.state.inputMode === right.state.inputMode &&
+      left.state.outputMode === right.state.outputMode &&
+      historyInputText(left) === historyInputText(right);
+  }
+
+  /**
+   * Puts entry first. A run with the same input replaces the older entry but keeps its
+   * pin and label. Unpinned entries beyond the limit are dropped, oldest first.
+   * @param {HistoryEntry[]} history Newest first.
+   * @param {HistoryEntry} entry
+   * @param {number} [limit]
+   * @returns {HistoryEntry[]}
+   */
+  function addHistoryEntry(history, entry, limit) {
+    const previous = history.find(function isSameInput(item) {
+      return sameHistoryInput(item, entry);
+    });
+    const merged = previous
+      ? Object.assign({}, entry, { id: previous.id, pinned: previous.pinned, label: previous.label })
+      : entry;
+    const entries = [merged].concat(history.filter(function isOther(item) {
+      return item !== previous;
+    }));
+
+    let unpinnedBudget = (limit || HISTORY_LIMIT) - entries.filter(function isPinned(item) {
+      return item.pinned;
+    }).length;
+    return entries.filter(function withinLimit(item) {
+      if (item.pinned) {
+        return true;
+      }
+      unpinnedBudget -= 1;
+      return unpinnedBudget >= 0;
+    });
+  }
+
+  /**
+   * Case-insensitive match on label, first table and the input text of the entry's mode.
+   * @param {HistoryEntry[]} history
+   * @param {string} query
+   * @returns {HistoryEntry[]}
+   */
+  function searchHistory(history, query) {
+    const needle = (query || "").trim().toLowerCase();
+    if (!needle) {
+      return history;
+    }
+
+    return history.filter(function matches(entry) {
+      return [entry.label, entry.firstTable, historyInputText(entry)]
+        .some(function contains(text) {
+          return typeof text === "string" && text.toLowerCase().includes(needle);
+        });
+    });
+  }
+
+  function loadHistory() {
+    if (!global.localStorage) {
+      return [];
+    }
+
+    try {
+      const history = JSON.parse(global.localStorage.getItem(HISTORY_STORAGE_KEY) || "[]");
+      return Array.isArray(history) ? history : [];
+    } catch (_error) {
+      return [];
+    }
+  }
+
+  /**
+   * Drops the oldest unpinned entry.
+   * @param {HistoryEntry[]} history Newest first.
+   * @returns {HistoryEntry[] | null} null when every entry is pinned.
+   */
+  function evictHistoryEntry(history) {
+    for (let i = history.length - 1; i >= 0; i -= 1) {
+      if (!history[i].pinned) {
+        return history.slice(0, i).concat(history.slice(i + 1));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Stores the history, dropping the oldest unpinned entries until it fits the quota.
+   * @param {HistoryEntry[]} history
+   * @returns {HistoryEntry[]} The entries that were stored.
+   */
+  function saveHistory(history) {
+    if (!global.localStorage) {
+      return history;
+    }
+
+    let entries = history;
+    while (entries) {
+      try {
+        global.localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(entries));
+        return entries;
+      } catch (_error) {
+        // Quota exceeded (or storage unavailable in private mode): retry with fewer entries.
+        entries = evictHistoryEntry(entries);
+      }
+    }
+    return history;
+  }
+
+  function loadLivePreview() {
+    try {
+      return Boolean(global.localStorage) && global.localStorage.getItem(LIVE_PREVIEW_STORAGE_KEY) === "true";
+    } catch (_error) {
+      return false;
+    }
+  }
+
+  function saveLivePreview(enabled) {
+    if (!global.localStorage) {
+      return;
+    }
+
+    try {
+      global.localStorage.setItem(LIVE_PREVIEW_STORAGE_KEY, enabled ? "true" : "");
+    } catch (_error) {
+      // Ignore storage errors (private mode / quota).
+    }
+  }
+
+  /**
+   * Appends text to parent, turning placeholder mentions into buttons that call onParam.
+   * @param {HTMLElement} parent
+   * @param {string} text
+   * @param {((key: string) => void) | undefined} onParam
+   */
+  function appendLinkedText(parent, text, onParam) {
+    if (!onParam) {
+      parent.appendChild(document.createTextNode(text));
+      return;
+    }
+
+    const mentionRe = /@[A-Za-z0-9_#$]+/g;
+    let position = 0;
+    let match;
+    while ((match = mentionRe.exec(text)) !== null) {
+      parent.appendChild(document.createTextNode(text.slice(position, match.index)));
+      const key = normalizeParamName(match[0]);
+      const link = document.createElement("button");
+      link.type = "button";
+      link.className = "param-link";
+      link.dataset.param = key;
+      link.textContent = match[0];
+      link.addEventListener("click", function onParamLink() {
+        onParam(key);
+      });
+      parent.appendChild(link);
+      position = match.index + match[0].length;
+    }
+    parent.appendChild(document.createTextNode(text.slice(position)));
+  }
+
+  const SEVERITY_LABELS = { error: "Errors", warning: "Warnings", info: "Info" };
+
+  function diagnosticItem(diagnostic, onParam) {
+    const item = document.createElement("li");
+    item.className = `severity-${diagnostic.severity}`;
+    item.title = diagnostic.code;
+    appendLinkedText(item, diagnostic.message, onParam);
+    return item;
+  }
+
+  /**
+   * Lists diagnostics grouped by severity, with one checkbox per severity to hide its group.
+   * Hidden severities are kept on the element so they survive the next render.
+   * @param {HTMLElement} warningsElement
+   * @param {Diagnostic[]} diagnostics
+   * @param {(key: string) => void} [onParam]
+   */
+  function renderWarnings(warningsElement, diagnostics, onParam) {
+    warningsElement.innerHTML = "";
+
+    if (!diagnostics.length) {
+      const noWarning = document.createElement("p");
+      noWarning.textContent = "No warnings.";
+      warningsElement.appendChild(noWarning);
+      return;
+    }
+
+    const hidden = new Set((warningsElement.dataset.hiddenSeverities || "").split(",").filter(Boolean));
+    const title = document.createElement("p");
+    title.textContent = diagnostics.length === 1 ? "1 warning:" : `${diagnostics.length} warnings:`;
+    warningsElement.appendChild(title);
+
+    const filter = document.createElement("div");
+    filter.className = "severity-filter";
+    warningsElement.appendChild(filter);
+
+    for (const severity of SEVERITIES) {
+      const matching = diagnostics.filter(function hasSeverity(diagnostic) {
+        return diagnostic.severity === severity;
+      });
+      if (!matching.length) {
+        continue;
+      }
+
+      const group = document.createElement("section");
+      group.className = `severity-group severity-${severity}`;
+      group.hidden = hidden.has(severity);
+      const list = document.createElement("ul");
+      for (const diagnostic of matching) {
+        list.appendChild(diagnosticItem(diagnostic, onParam));
+      }
+      group.appendChild(list);
+      warningsElement.appendChild(group);
+
+      const label = document.createElement("label");
+      const toggle = document.createElement("input");
+      toggle.type = "checkbox";
+      toggle.checked = !group.hidden;
+      toggle.addEventListener("change", function onSeverityToggle() {
+        group.hidden = !toggle.checked;
+        if (toggle.checked) {
+          hidden.delete(severity);
+        } else {
+          hidden.add(severity);
+        }
+        warningsElement.dataset.hiddenSeverities = Array.from(hidden).join(",");
+      });
+      label.appendChild(toggle);
+      label.appendChild(document.createTextNode(` ${SEVERITY_LABELS[severity]} (${matching.length})`));
+      filter.appendChild(label);
+    }
+  }
+
+  function renderBatchWarnings(warningsElement, batch) {
+    const groups = batch.statements.filter(function hasWarnings(statement) {
+      return statement.result.diagnostics.length > 0;
+    });
+
+    if (!groups.length) {
+      renderWarnings(warningsElement, batch.diagnostics);
+      return;
+    }
+
+    warningsElement.innerHTML = "";
+
+    const title = document.createElement("p");
+    title.textContent = groups.length === 1
+      ? "Warnings in 1 statement:"
+      : `Warnings in ${groups.length} statements:`;
+    warningsElement.appendChild(title);
+
+    const list = document.createElement("ul");
+    for (const statement of groups) {
+      const item = document.createElement("li");
+      item.textContent = `Statement ${statement.number}`;
+      const nested = document.createElement("ul");
+      for (const diagnostic of statement.result.diagnostics) {
+        nested.appendChild(diagnosticItem(diagnostic));
+      }
+      item.appendChild(nested);
+      list.appendChild(item);
+    }
+    warningsElement.appendChild(list);
+  }
+
+  function describeAnalysisTable(table) {
+    const alias = table.alias ? ` AS ${table.alias}` : "";
+    const hints = table.hints.length ? ` WITH (${table.hints.join(", ")})` : "";
+    const role = table.join || table.role.toUpperCase();
+    return `${role} ${table.name}${alias}${hints}`;
   }
 
   /**
-   * @param {string} sqlText
-   * @param {string} execText
-   * @param {{formatter?: {format: (sql: string, options?: object) => string}}} [options]
-   * @returns {GenerationResult}
+   * @param {HTMLElement} analysisElement
+   * @param {StatementAnalysis | null} analysis
    */
-  function generate(sqlText, execText, options) {
-    const safeSql = typeof sqlText === "string" ? normalizeSqlLineBreaks(sqlText) : "";
-    const safeExec = typeof execText === "string" ? normalizeExecLineBreaks(execText) : "";
-    const warnings = [];
+  function renderAnalysis(analysisElement, analysis) {
+    analysisElement.innerHTML = "";
+    analysisElement.hidden = !analysis || !analysis.kind;
+    if (analysisElement.hidden) {
+      return;
+    }
 
-    const parseResult = parseExecStatement(safeExec);
-    warnings.push.apply(warnings, parseResult.warnings);
+    const title = document.createElement("p");
+    title.textContent = `${analysis.kind} statement`;
+    analysisElement.appendChild(title);
 
-    const sqlParams = collectSqlParameters(safeSql);
-    const usedKeys = new Set(sqlParams.map(function keyOnly(item) {
-      return item.key;
-    }));
+    const limits = [];
+    if (analysis.top) {
+      limits.push(`TOP ${analysis.top}`);
+    }
+    if (analysis.offsetFetch) {
+      const fetch = analysis.offsetFetch.fetch ? `, FETCH ${analysis.offsetFetch.fetch}` : "";
+      limits.push(`OFFSET ${analysis.offsetFetch.offset}${fetch}`);
+    }
 
-    for (const sqlParam of sqlParams) {
-      const parsed = parseResult.params.get(sqlParam.key);
-      if (!parsed) {
-        warnings.push(
-          `Missing value for ${sqlParam.name} in EXEC statement; declaring as uninitialized sql_variant.`,
-        );
+    const sections = [
+      ["Findings", analysis.findings.map(function messageOnly(finding) {
+        return finding.message;
+      })],
+      ["Tables", analysis.tables.map(describeAnalysisTable)],
+      ["Filter columns", analysis.whereColumns],
+      ["Sort columns", analysis.orderByColumns],
+      ["Row limits", limits],
+      ["Paging", analysis.keySeek ? [analysis.keySeek.description] : []],
+      ["Query options", analysis.options],
+    ];
+
+    for (const [label, items] of sections) {
+      if (!items.length) {
         continue;
       }
+      const heading = document.createElement("p");
+      heading.textContent = `${label}:`;
+      analysisElement.appendChild(heading);
 
-      if (!parsed.normalizedLiteral) {
-        warnings.push(
-          `No literal value was parsed for ${sqlParam.name}; declaring as uninitialized sql_variant.`,
-        );
+      const list = document.createElement("ul");
+      if (label === "Findings") {
+        list.className = "findings";
       }
-
-      if (!parsed.confidence || !parsed.inferredType) {
-        const detail = parsed.parseError ? ` (${parsed.parseError})` : "";
-        warnings.push(`Type inference is not confident for ${sqlParam.name}${detail}; using sql_variant.`);
+      for (const text of items) {
+        const item = document.createElement("li");
+        item.textContent = text;
+        list.appendChild(item);
       }
+      analysisElement.appendChild(list);
     }
+  }
 
-    for (const [key, param] of parseResult.params.entries()) {
-      if (!usedKeys.has(key)) {
-        warnings.push(`EXEC parameter ${param.name} is not referenced in the SQL statement.`);
-      }
+  function describeHistoryEntry(entry) {
+    const parts = [new Date(entry.timestamp).toLocaleString()];
+    if (entry.firstTable) {
+      parts.push(entry.firstTable);
+    }
+    parts.push(entry.paramCount === 1 ? "1 param" : `${entry.paramCount} params`);
+    parts.push(entry.warningCount === 1 ? "1 warning" : `${entry.warningCount} warnings`);
+    if (entry.batchOmitted) {
+      parts.push("trace file not kept");
     }
+    return parts.join(" · ");
+  }
 
-    const mode = "declare";
-    let outputSql = safeSql;
+  /**
+   * @param {HTMLElement} listElement
+   * @param {HistoryEntry[]} entries
+   * @param {{onRestore: (entry: HistoryEntry) => void, onTogglePin: (entry: HistoryEntry) => void, onCompare: (entry: HistoryEntry, slot: string) => void}} handlers
+   */
+  function renderHistory(listElement, entries, handlers) {
+    listElement.innerHTML = "";
 
-    if (sqlParams.length > 0) {
-      const declareParams = sortSqlParamsForDeclare(sqlParams);
-      const declarations = declareParams.map(function declaration(sqlParam) {
-        const parsed = parseResult.params.get(sqlParam.key);
+    if (!entries.length) {
+      const empty = document.createElement("li");
+      empty.className = "history-empty";
+      empty.textContent = "No history entries.";
+      listElement.appendChild(empty);
+      return;
+    }
 
-        if (!parsed || !parsed.normalizedLiteral) {
-          return `${sqlParam.name} sql_variant`;
-        }
+    for (const entry of entries) {
+      const item = document.createElement("li");
+      item.className = entry.pinned ? "history-entry pinned" : "history-entry";
 
-        if (!parsed.confidence || !parsed.inferredType) {
-          return `${sqlParam.name} sql_variant = ${parsed.normalizedLiteral}`;
-        }
+      const restore = document.createElement("button");
+      restore.type = "button";
+      restore.className = "history-restore";
+      restore.textContent = entry.label ? `${entry.label} — ${describeHistoryEntry(entry)}` : describeHistoryEntry(entry);
+      restore.title = "Restore this input and generate again";
+      restore.addEventListener("click", function onRestore() {
+        handlers.onRestore(entry);
+      });
 
-        return `${sqlParam.name} ${parsed.inferredType} = ${parsed.normalizedLiteral}`;
+      const pin = document.createElement("button");
+      pin.type = "button";
+      pin.className = "mini";
+      pin.textContent = entry.pinned ? "Unpin" : "Pin";
+      pin.addEventListener("click", function onTogglePin() {
+        handlers.onTogglePin(entry);
       });
-      outputSql = `DECLARE ${declarations.join(",\n        ")};\n\n${safeSql.trim()}`;
-    }
 
-    const formattedOutput = applyFormatting(
-      outputSql,
-      warnings,
-      options && options.formatter ? options.formatter : null,
-    );
+      item.appendChild(restore);
+      if (entry.state.inputMode !== "batch") {
+        for (const slot of ["A", "B"]) {
+          const compare = document.createElement("button");
+          compare.type = "button";
+          compare.className = "mini";
+          compare.textContent = slot;
+          compare.title = `Use as comparison side ${slot}`;
+          compare.addEventListener("click", function onCompare() {
+            handlers.onCompare(entry, slot);
+          });
+          item.appendChild(compare);
+        }
+      }
+      item.appendChild(pin);
+      listElement.appendChild(item);
+    }
+  }
 
-    return {
-      mode,
-      outputSql: formattedOutput,
-      warnings: dedupeStrings(warnings),
-      params: Array.from(parseResult.params.values()),
-    };
+  function describeComparedParam(side) {
+    return side ? [side.value || "(no literal)", side.sqlType] : ["(missing)", ""];
   }
 
-  function saveInputState(sqlText, execText) {
-    if (!global.localStorage) {
+  /**
+   * @param {HTMLElement} resultElement
+   * @param {ReturnType<typeof compareQueries> | null} comparison
+   */
+  function renderComparison(resultElement, comparison) {
+    resultElement.innerHTML = "";
+    resultElement.hidden = !comparison;
+    if (!comparison) {
       return;
     }
 
-    try {
-      global.localStorage.setItem(STORAGE_KEYS.sql, sqlText);
-      global.localStorage.setItem(STORAGE_KEYS.exec, execText);
-    } catch (_error) {
-      // Ignore storage errors (private mode / quota).
+    const sqlTitle = document.createElement("p");
+    sqlTitle.textContent = comparison.sameSql ? "Statement text: identical." : "Statement text differs:";
+    resultElement.appendChild(sqlTitle);
+
+    if (!comparison.sameSql) {
+      const diff = document.createElement("pre");
+      diff.className = "compare-diff";
+      comparison.sqlDiff.forEach(function appendSegment(segment, index) {
+        if (index > 0) {
+          diff.appendChild(document.createTextNode(" "));
+        }
+        const span = document.createElement(segment.type === "same" ? "span" : segment.type === "added" ? "ins" : "del");
+        span.textContent = segment.text;
+        diff.appendChild(span);
+      });
+      resultElement.appendChild(diff);
+    }
+
+    const paramTitle = document.createElement("p");
+    paramTitle.textContent = comparison.paramDifferences.length
+      ? "Parameter differences:"
+      : "Parameters: no value or type differences.";
+    resultElement.appendChild(paramTitle);
+    if (!comparison.paramDifferences.length) {
+      return;
+    }
+
+    const table = document.createElement("table");
+    table.className = "compare-params";
+    const head = table.createTHead().insertRow();
+    for (const label of ["Parameter", "A value", "A type", "B value", "B type"]) {
+      const cell = document.createElement("th");
+      cell.textContent = label;
+      head.appendChild(cell);
+    }
+    const body = table.createTBody();
+    for (const difference of comparison.paramDifferences) {
+      const row = body.insertRow();
+      const [leftValue, leftType] = describeComparedParam(difference.left);
+      const [rightValue, rightType] = describeComparedParam(difference.right);
+      const cells = [
+        [difference.name, false],
+        [leftValue, difference.valueChanged],
+        [leftType, difference.typeChanged],
+        [rightValue, difference.valueChanged],
+        [rightType, difference.typeChanged],
+      ];
+      for (const [text, changed] of cells) {
+        const cell = row.insertCell();
+        cell.textContent = text;
+        if (changed) {
+          cell.className = "changed";
+        }
+      }
     }
+    resultElement.appendChild(table);
   }
 
-  function loadInputState() {
-    if (!global.localStorage) {
-      return { sql: "", exec: "" };
+  /**
+   * @param {HTMLElement} summaryElement
+   * @param {StatementGroup[] | null} groups
+   */
+  function renderQueryGroups(summaryElement, groups) {
+    summaryElement.innerHTML = "";
+    summaryElement.hidden = !groups || !groups.length;
+    if (summaryElement.hidden) {
+      return;
     }
 
-    try {
-      return {
-        sql: global.localStorage.getItem(STORAGE_KEYS.sql) || "",
-        exec: global.localStorage.getItem(STORAGE_KEYS.exec) || "",
-      };
-    } catch (_error) {
-      return { sql: "", exec: "" };
+    const title = document.createElement("p");
+    title.textContent = groups.length === 1 ? "1 query shape:" : `${groups.length} query shapes:`;
+    summaryElement.appendChild(title);
+
+    const list = document.createElement("ul");
+    for (const group of groups) {
+      const item = document.createElement("li");
+      const setCount = group.parameterSets.length;
+      item.textContent =
+        `${group.fingerprint}: ${group.count} × (statements ${group.statements.join(", ")}), ` +
+        `${setCount === 1 ? "1 distinct parameter set" : `${setCount} distinct parameter sets`}`;
+      const example = document.createElement("pre");
+      example.className = "group-example";
+      example.textContent = group.example;
+      item.appendChild(example);
+      list.appendChild(item);
     }
+    summaryElement.appendChild(list);
   }
 
-  function clearInputState() {
-    if (!global.localStorage) {
+  function renderNavSummary(summaryElement, navObjects) {
+    summaryElement.innerHTML = "";
+    summaryElement.hidden = !navObjects;
+    if (!navObjects) {
       return;
     }
 
-    try {
-      global.localStorage.removeItem(STORAGE_KEYS.sql);
-      global.localStorage.removeItem(STORAGE_KEYS.exec);
-    } catch (_error) {
-      // Ignore storage errors.
+    if (!navObjects.tables.length) {
+      const empty = document.createElement("p");
+      empty.textContent = "No NAV/BC table names found.";
+      summaryElement.appendChild(empty);
+      return;
+    }
+
+    const sections = [
+      ["Companies", navObjects.companies],
+      ["Tables", navObjects.tables.map(function describeTable(table) {
+        return `${table.alias} = ${table.table}`;
+      })],
+      ["Extensions", navObjects.extensions],
+      ["Fields", navObjects.fields.map(function describeField(field) {
+        return `${field.column} -> ${field.alName}`;
+      })],
+    ];
+
+    for (const [label, items] of sections) {
+      if (!items.length) {
+        continue;
+      }
+      const title = document.createElement("p");
+      title.textContent = `${label}:`;
+      summaryElement.appendChild(title);
+
+      const list = document.createElement("ul");
+      for (const text of items) {
+        const item = document.createElement("li");
+        item.textContent = text;
+        list.appendChild(item);
+      }
+      summaryElement.appendChild(list);
     }
   }
 
-  function renderWarnings(warningsElement, warnings) {
-    warningsElement.innerHTML = "";
+  function renderOutputView(viewElement, sqlText) {
+    viewElement.innerHTML = "";
+    for (const segment of highlightSql(sqlText)) {
+      if (!segment.className) {
+        viewElement.appendChild(document.createTextNode(segment.text));
+        continue;
+      }
+      const span = document.createElement("span");
+      span.className = `sql-${segment.className}`;
+      span.textContent = segment.text;
+      if (segment.paramKey) {
+        span.dataset.param = segment.paramKey;
+      }
+      viewElement.appendChild(span);
+    }
+  }
 
-    if (!warnings.length) {
-      const noWarning = document.createElement("p");
-      noWarning.textContent = "No warnings.";
-      warningsElement.appendChild(noWarning);
+  /**
+   * @param {HTMLElement} detailsElement
+   * @param {string | null} key
+   * @param {ParsedParam | undefined} param
+   */
+  function renderParamDetails(detailsElement, key, param) {
+    detailsElement.innerHTML = "";
+    detailsElement.hidden = !key;
+    if (!key) {
       return;
     }
 
     const title = document.createElement("p");
-    title.textContent = warnings.length === 1 ? "1 warning:" : `${warnings.length} warnings:`;
-    warningsElement.appendChild(title);
+    title.textContent = param ? `${param.name}:` : `${key}: no value in the EXEC input.`;
+    detailsElement.appendChild(title);
+    if (!param) {
+      return;
+    }
 
-    const list = document.createElement("ul");
-    for (const warning of warnings) {
-      const item = document.createElement("li");
-      item.textContent = warning;
-      list.appendChild(item);
+    const rows = [
+      ["Raw token", param.rawToken],
+      ["Inferred type", param.inferredType],
+      ["Declared type", param.declaredType],
+      ["Schema type", param.schemaType],
+      ["Meaning", param.meaning],
+      ["Parse error", param.parseError],
+    ];
+    const list = document.createElement("dl");
+    for (const [label, value] of rows) {
+      if (value == null || value === "") {
+        continue;
+      }
+      const term = document.createElement("dt");
+      term.textContent = label;
+      const description = document.createElement("dd");
+      description.textContent = value;
+      list.appendChild(term);
+      list.appendChild(description);
     }
-    warningsElement.appendChild(list);
+    detailsElement.appendChild(list);
   }
 
   async function copyOutput(outputElement) {
@@ -708,30 +5205,515 @@
     }
   }
 
+  const EXPORT_FORMATS = {
+    markdown: { extension: "md", mimeType: "text/markdown", render: exportMarkdown },
+    html: { extension: "html", mimeType: "text/html", render: exportHtml },
+    json: { extension: "json", mimeType: "application/json", render: exportJson },
+  };
+
+  function downloadFile(fileName, mimeType, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking right after click() can cancel the download in some browsers.
+    setTimeout(function revokeUrl() {
+      URL.revokeObjectURL(url);
+    }, 1000);
+  }
+
   function initUi() {
     const sqlInput = document.getElementById("sqlInput");
     const execInput = document.getElementById("execInput");
+    const callInput = document.getElementById("callInput");
+    const sqlPanel = document.getElementById("sqlPanel");
+    const execPanel = document.getElementById("execPanel");
+    const callPanel = document.getElementById("callPanel");
+    const batchInput = document.getElementById("batchInput");
+    const batchFile = document.getElementById("batchFile");
+    const batchStatus = document.getElementById("batchStatus");
+    const batchPanel = document.getElementById("batchPanel");
+    const modeInputs = Array.from(document.querySelectorAll('input[name="inputMode"]'));
+    const outputModeSelect = document.getElementById("outputMode");
+    const sourceCommentsInput = document.getElementById("sourceComments");
+    const navAnnotationsInput = document.getElementById("navAnnotations");
+    const narrowIntegersInput = document.getElementById("narrowIntegers");
+    const redactValuesInput = document.getElementById("redactValues");
+    const navSummary = document.getElementById("navSummary");
+    const analysisPanel = document.getElementById("analysis");
+    const queryGroups = document.getElementById("queryGroups");
+    const historySearch = document.getElementById("historySearch");
+    const historyList = document.getElementById("historyList");
+    const compareSlots = {
+      A: document.getElementById("compareSlotA"),
+      B: document.getElementById("compareSlotB"),
+    };
+    const compareSetA = document.getElementById("compareSetA");
+    const compareSetB = document.getElementById("compareSetB");
+    const compareBtn = document.getElementById("compareBtn");
+    const compareResult = document.getElementById("compareResult");
+    const compareInputs = { A: null, B: null };
+    const schemaFile = document.getElementById("schemaFile");
+    const schemaStatus = document.getElementById("schemaStatus");
+    let loadedSchema = null;
+    const formatControls = {
+      keywordCase: document.getElementById("fmtKeywordCase"),
+      tabWidth: document.getElementById("fmtTabWidth"),
+      useTabs: document.getElementById("fmtUseTabs"),
+      commaPosition: document.getElementById("fmtCommaPosition"),
+      expressionWidth: document.getElementById("fmtExpressionWidth"),
+      linesBetweenQueries: document.getElementById("fmtLinesBetweenQueries"),
+    };
     const outputSql = document.getElementById("outputSql");
+    const outputView = document.getElementById("outputView");
+    const paramDetails = document.getElementById("paramDetails");
     const warnings = document.getElementById("warnings");
     const generateBtn = document.getElementById("generateBtn");
     const copyBtn = document.getElementById("copyBtn");
     const clearBtn = document.getElementById("clearBtn");
+    const exportFormat = document.getElementById("exportFormat");
+    const exportBtn = document.getElementById("exportBtn");
+    const shareBtn = document.getElementById("shareBtn");
+    const shareRedact = document.getElementById("shareRedact");
+    const shareStatus = document.getElementById("shareStatus");
+    const livePreviewInput = document.getElementById("livePreview");
+    const liveStatus = document.getElementById("liveStatus");
 
-    if (!sqlInput || !execInput || !outputSql || !warnings) {
+    if (!sqlInput || !execInput || !callInput || !batchInput || !outputSql || !warnings || !outputModeSelect) {
       return;
     }
 
-    const initial = loadInputState();
-    sqlInput.value = initial.sql;
-    execInput.value = initial.exec;
+    /** @type {Map<string, ParsedParam>} */
+    let paramsByKey = new Map();
+    let paramSource = null;
+    /** Last Generate result, kept for export. */
+    let lastResult = null;
+
+    function currentInputMode() {
+      const checked = modeInputs.find(function isChecked(input) {
+        return input.checked;
+      });
+      return checked ? checked.value : "split";
+    }
+
+    function currentState() {
+      return {
+        sql: sqlInput.value,
+        exec: execInput.value,
+        call: callInput.value,
+        inputMode: currentInputMode(),
+        outputMode: outputModeSelect.value,
+        sourceComments: sourceCommentsInput.checked ? "true" : "",
+        navAnnotations: navAnnotationsInput.checked ? "true" : "",
+        narrowIntegers: narrowIntegersInput.checked ? "true" : "",
+        redactValues: redactValuesInput.checked ? "true" : "",
+        formatOptions: JSON.stringify(currentFormatOptions()),
+      };
+    }
+
+    function currentFormatOptions() {
+      return resolveFormatOptions({
+        keywordCase: formatControls.keywordCase.value,
+        tabWidth: formatControls.tabWidth.value,
+        useTabs: formatControls.useTabs.checked,
+        commaPosition: formatControls.commaPosition.value,
+        expressionWidth: formatControls.expressionWidth.value,
+        linesBetweenQueries: formatControls.linesBetweenQueries.value,
+      });
+    }
+
+    function applyFormatOptions(formatOptions) {
+      formatControls.keywordCase.value = formatOptions.keywordCase;
+      formatControls.tabWidth.value = String(formatOptions.tabWidth);
+      formatControls.useTabs.checked = formatOptions.useTabs;
+      formatControls.commaPosition.value = formatOptions.commaPosition;
+      formatControls.expressionWidth.value = String(formatOptions.expressionWidth);
+      formatControls.linesBetweenQueries.value = String(formatOptions.linesBetweenQueries);
+    }
+
+    function currentGenerateOptions() {
+      return {
+        mode: outputModeSelect.value,
+        sourceComments: sourceCommentsInput.checked,
+        navAnnotations: navAnnotationsInput.checked,
+        narrowIntegers: narrowIntegersInput.checked,
+        redact: redactValuesInput.checked,
+        schema: loadedSchema,
+        formatOptions: currentFormatOptions(),
+      };
+    }
+
+    function applyOutputMode() {
+      sourceCommentsInput.disabled = outputModeSelect.value !== "inline";
+    }
+
+    function applyInputMode(inputMode) {
+      for (const input of modeInputs) {
+        input.checked = input.value === inputMode;
+      }
+      sqlPanel.hidden = inputMode !== "split";
+      execPanel.hidden = inputMode !== "split";
+      callPanel.hidden = inputMode !== "call";
+      batchPanel.hidden = inputMode !== "batch";
+    }
+
+    function persistState() {
+      saveInputState(currentState());
+    }
+
+    function showOutput(sqlText, params, source) {
+      outputSql.value = sqlText;
+      renderOutputView(outputView, sqlText);
+      paramsByKey = new Map(params.map(function byKey(param) {
+        return [normalizeParamName(param.name), param];
+      }));
+      paramSource = source;
+      renderParamDetails(paramDetails, null);
+    }
+
+    function selectParam(key, jumpToInput) {
+      for (const element of document.querySelectorAll("[data-param]")) {
+        element.classList.toggle("param-active", element.dataset.param === key);
+      }
+      // Batch output mixes placeholders of many statements; a single name means nothing there.
+      if (!paramSource) {
+        return;
+      }
+      renderParamDetails(paramDetails, key, paramsByKey.get(key));
+
+      const assignment = jumpToInput ? findAssignmentOffset(paramSource.value, key) : null;
+      if (assignment) {
+        paramSource.focus();
+        paramSource.setSelectionRange(assignment.start, assignment.end);
+      }
+    }
+
+    function applyState(state) {
+      sqlInput.value = state.sql || "";
+      execInput.value = state.exec || "";
+      callInput.value = state.call || "";
+      applyInputMode(INPUT_MODES.includes(state.inputMode) ? state.inputMode : "split");
+      outputModeSelect.value = OUTPUT_MODES.includes(state.outputMode) ? state.outputMode : "declare";
+      sourceCommentsInput.checked = state.sourceComments === "true";
+      navAnnotationsInput.checked = state.navAnnotations === "true";
+      narrowIntegersInput.checked = state.narrowIntegers === "true";
+      redactValuesInput.checked = state.redactValues === "true";
+      applyFormatOptions(parseStoredFormatOptions(state.formatOptions));
+      applyOutputMode();
+    }
+
+    function recordHistory(result) {
+      const batch = currentInputMode() === "batch" ? batchInput.value : "";
+      historyEntries = saveHistory(addHistoryEntry(historyEntries, createHistoryEntry(currentState(), batch, result)));
+      refreshHistory();
+    }
+
+    function refreshHistory() {
+      renderHistory(historyList, searchHistory(historyEntries, historySearch.value), {
+        onRestore: function restoreEntry(entry) {
+          applyState(entry.state);
+          if (entry.batchOmitted) {
+            // The trace file was too large to keep; the options are restored, the input stays.
+            return;
+          }
+          // Trace text is not saved elsewhere, so split and call entries leave it alone.
+          if (entry.state.inputMode === "batch") {
+            batchInput.value = entry.batch;
+          }
+          runGenerate();
+        },
+        onCompare: function compareEntry(entry, slot) {
+          setCompareInput(slot, entry.state, entry.label || describeHistoryEntry(entry));
+        },
+        onTogglePin: function togglePin(entry) {
+          if (entry.pinned) {
+            entry.pinned = false;
+            entry.label = "";
+          } else {
+            const label = global.prompt ? global.prompt("Label for this entry:", entry.firstTable || "") : "";
+            if (label === null) {
+              return;
+            }
+            entry.pinned = true;
+            entry.label = label.trim();
+          }
+          historyEntries = saveHistory(historyEntries);
+          refreshHistory();
+        },
+      });
+    }
+
+    function setCompareInput(slot, state, description) {
+      if (state.inputMode === "batch") {
+        compareSlots[slot].textContent = "Trace files cannot be compared; use split or single-call input.";
+        compareInputs[slot] = null;
+        return;
+      }
+      compareInputs[slot] = state.inputMode === "call"
+        ? { call: state.call || "" }
+        : { sql: state.sql || "", exec: state.exec || "" };
+      compareSlots[slot].textContent = description;
+    }
+
+    const sharedFragment = global.location ? global.location.hash : "";
+    if (sharedFragment.startsWith(`#${SHARE_FRAGMENT_PREFIX}`)) {
+      // Apply the stored state first so the page is usable while the link decodes.
+      applyState(loadInputState());
+      decodeShareFragment(sharedFragment).then(function applyShared(state) {
+        if (state) {
+          // The saved draft is only replaced once the user generates or changes an option.
+          applyState(state);
+          global.history.replaceState(null, "", global.location.href.split("#")[0]);
+          shareStatus.textContent = "Loaded the shared link; your saved input is kept until you generate.";
+        } else {
+          shareStatus.textContent = "The shared link could not be read; showing your last input instead.";
+        }
+      });
+    } else {
+      applyState(loadInputState());
+    }
+    let historyEntries = loadHistory();
+    refreshHistory();
 
     renderWarnings(warnings, []);
 
-    generateBtn.addEventListener("click", function onGenerate() {
-      const result = generate(sqlInput.value, execInput.value);
-      outputSql.value = result.outputSql;
-      renderWarnings(warnings, result.warnings);
-      saveInputState(sqlInput.value, execInput.value);
+    /** @returns {GenerateRequest} */
+    function currentRequest() {
+      return {
+        id: 0,
+        inputMode: currentInputMode(),
+        sql: sqlInput.value,
+        exec: execInput.value,
+        call: callInput.value,
+        batch: batchInput.value,
+        options: currentGenerateOptions(),
+      };
+    }
+
+    function showResult(response) {
+      const result = response.result;
+      if (response.inputMode === "batch") {
+        showOutput(result.outputSql, [], null);
+        renderBatchWarnings(warnings, result);
+        renderNavSummary(navSummary, null);
+        renderAnalysis(analysisPanel, null);
+        renderQueryGroups(queryGroups, result.groups);
+      } else {
+        showOutput(result.outputSql, result.params, response.inputMode === "call" ? callInput : execInput);
+        renderWarnings(warnings, result.diagnostics, function onWarningParam(key) {
+          selectParam(key, true);
+        });
+        renderNavSummary(navSummary, result.navObjects);
+        renderAnalysis(analysisPanel, result.analysis);
+        renderQueryGroups(queryGroups, null);
+      }
+      lastResult = result;
+      exportBtn.disabled = !result.outputSql;
+
+      const timings = response.timings;
+      liveStatus.classList.remove("busy");
+      liveStatus.textContent =
+        `Parsed in ${Math.round(timings.parseMs)} ms, formatted in ${Math.round(timings.formatMs)} ms.`;
+    }
+
+    function runGenerate() {
+      cancelPreview();
+      const response = runGenerateRequest(currentRequest());
+      showResult(response);
+      persistState();
+      recordHistory(response.result);
+    }
+
+    generateBtn.addEventListener("click", runGenerate);
+
+    let previewTimer = null;
+    let previewId = 0;
+    /** @type {Worker | null | false} false once workers turned out to be unavailable (e.g. file:// pages). */
+    let previewWorker = null;
+    let previewBusy = false;
+
+    function stopPreviewWorker() {
+      if (previewWorker) {
+        previewWorker.terminate();
+        previewWorker = null;
+      }
+      previewBusy = false;
+    }
+
+    function previewWorkerInstance() {
+      if (previewWorker !== null || !SCRIPT_URL || typeof global.Worker !== "function") {
+        return previewWorker || null;
+      }
+
+      let worker;
+      try {
+        worker = new global.Worker(SCRIPT_URL);
+      } catch (_error) {
+        previewWorker = false;
+        return null;
+      }
+      let answered = false;
+      worker.addEventListener("message", function onPreview(event) {
+        answered = true;
+        previewBusy = false;
+        if (event.data.id !== previewId) {
+          return;
+        }
+        if (event.data.error) {
+          showPreviewError(event.data.error);
+        } else {
+          showResult(event.data);
+        }
+      });
+      worker.addEventListener("error", function onPreviewError(event) {
+        event.preventDefault();
+        if (answered) {
+          previewBusy = false;
+          showPreviewError(event.message || "the preview worker failed");
+          return;
+        }
+        // No answer yet: typically a page opened from file://, where workers cannot load scripts;
+        // run inline from now on.
+        worker.terminate();
+        if (previewWorker === worker) {
+          previewWorker = false;
+          previewBusy = false;
+          runPreview();
+        }
+      });
+      previewWorker = worker;
+      return worker;
+    }
+
+    function showPreviewError(message) {
+      liveStatus.classList.remove("busy");
+      liveStatus.textContent = `Preview failed: ${message}`;
+    }
+
+    function cancelPreview() {
+      clearTimeout(previewTimer);
+      previewTimer = null;
+      previewId += 1;
+      liveStatus.classList.remove("busy");
+    }
+
+    function runPreview() {
+      previewTimer = null;
+      previewId += 1;
+      const request = Object.assign(currentRequest(), { id: previewId });
+
+      // A long run for input that has changed since is not worth waiting for.
+      if (previewBusy) {
+        stopPreviewWorker();
+      }
+      const worker = previewWorkerInstance();
+      liveStatus.classList.add("busy");
+      liveStatus.textContent = "Working...";
+      if (worker) {
+        previewBusy = true;
+        worker.postMessage(request);
+      } else {
+        try {
+          showResult(runGenerateRequest(request));
+        } catch (error) {
+          showPreviewError(error && error.message ? error.message : String(error));
+        }
+      }
+    }
+
+    function schedulePreview() {
+      if (!livePreviewInput.checked) {
+        return;
+      }
+      clearTimeout(previewTimer);
+      previewTimer = setTimeout(runPreview, LIVE_PREVIEW_DELAY_MS);
+    }
+
+    livePreviewInput.checked = loadLivePreview();
+    livePreviewInput.addEventListener("change", function onLivePreviewChange() {
+      saveLivePreview(livePreviewInput.checked);
+      if (livePreviewInput.checked) {
+        schedulePreview();
+      } else {
+        cancelPreview();
+        stopPreviewWorker();
+      }
+    });
+
+    compareSetA.addEventListener("click", function onCompareSetA() {
+      setCompareInput("A", currentState(), `Current input (${new Date().toLocaleTimeString()})`);
+    });
+    compareSetB.addEventListener("click", function onCompareSetB() {
+      setCompareInput("B", currentState(), `Current input (${new Date().toLocaleTimeString()})`);
+    });
+    compareBtn.addEventListener("click", function onCompare() {
+      if (!compareInputs.A || !compareInputs.B) {
+        renderComparison(compareResult, null);
+        compareSlots[compareInputs.A ? "B" : "A"].textContent = "Pick an input for this side first.";
+        return;
+      }
+      renderComparison(compareResult, compareQueries(compareInputs.A, compareInputs.B, currentGenerateOptions()));
+    });
+    historySearch.addEventListener("input", refreshHistory);
+
+    outputView.addEventListener("mouseover", function onOutputHover(event) {
+      const target = event.target.closest("[data-param]");
+      if (target) {
+        selectParam(target.dataset.param, false);
+      }
+    });
+
+    outputView.addEventListener("click", function onOutputClick(event) {
+      const target = event.target.closest("[data-param]");
+      if (target) {
+        selectParam(target.dataset.param, true);
+      }
+    });
+
+    schemaFile.addEventListener("change", async function onSchemaFile() {
+      const file = schemaFile.files && schemaFile.files[0];
+      if (!file) {
+        loadedSchema = null;
+        schemaStatus.textContent = "No schema loaded.";
+        return;
+      }
+
+      // The schema stays in memory only; full INFORMATION_SCHEMA exports can exceed localStorage quota.
+      try {
+        loadedSchema = parseSchema(await file.text());
+      } catch (error) {
+        loadedSchema = null;
+        schemaStatus.textContent = `${file.name} could not be loaded: ${error && error.message ? error.message : error}`;
+        schedulePreview();
+        return;
+      }
+      let columnCount = 0;
+      for (const columns of loadedSchema.tables.values()) {
+        columnCount += columns.size;
+      }
+      const problems = loadedSchema.warnings.length ? ` ${loadedSchema.warnings.join(" ")}` : "";
+      schemaStatus.textContent =
+        `${file.name}: ${loadedSchema.tables.size} tables, ${columnCount} columns.${problems}`;
+      schedulePreview();
+    });
+
+    batchFile.addEventListener("change", async function onBatchFile() {
+      const file = batchFile.files && batchFile.files[0];
+      if (!file) {
+        return;
+      }
+      batchFile.value = "";
+      try {
+        batchInput.value = await file.text();
+      } catch (error) {
+        batchStatus.textContent = `${file.name} could not be read: ${error && error.message ? error.message : error}`;
+        return;
+      }
+      batchStatus.textContent = "";
+      schedulePreview();
     });
 
     copyBtn.addEventListener("click", async function onCopy() {
@@ -742,30 +5724,132 @@
       }, 1200);
     });
 
+    exportBtn.addEventListener("click", function onExport() {
+      const format = EXPORT_FORMATS[exportFormat.value];
+      if (!lastResult || !format) {
+        return;
+      }
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      downloadFile(`nav-sql-${stamp}.${format.extension}`, format.mimeType, format.render(lastResult));
+    });
+
+    shareBtn.addEventListener("click", async function onShare() {
+      const state = currentState();
+      if (shareRedact.checked) {
+        const rules = { replacements: new Map() };
+        state.exec = redactTraceValues(state.exec, rules);
+        state.call = redactTraceValues(state.call, rules);
+      }
+      const link = `${global.location.href.split("#")[0]}#${await encodeShareFragment(state)}`;
+      global.history.replaceState(null, "", link);
+
+      let copied = false;
+      if (global.navigator && global.navigator.clipboard && global.navigator.clipboard.writeText) {
+        try {
+          await global.navigator.clipboard.writeText(link);
+          copied = true;
+        } catch (_error) {
+          // The link is still in the address bar.
+        }
+      }
+
+      const tooLong = link.length > SHARE_LINK_WARN_LENGTH;
+      const where = copied ? "Link copied" : "Link is in the address bar";
+      const batchNote = state.inputMode === "batch" ? " Trace file text is not included." : "";
+      const sizeNote = tooLong
+        ? `. It is ${link.length} characters; chat tools may cut off links over ${SHARE_LINK_WARN_LENGTH}.`
+        : ` (${link.length} characters).`;
+      shareStatus.textContent = `${where}${sizeNote}${batchNote}`;
+      shareStatus.classList.toggle("too-long", tooLong);
+    });
+
     clearBtn.addEventListener("click", function onClear() {
       sqlInput.value = "";
       execInput.value = "";
-      outputSql.value = "";
+      callInput.value = "";
+      batchInput.value = "";
+      showOutput("", [], null);
       renderWarnings(warnings, []);
+      renderNavSummary(navSummary, null);
+      renderAnalysis(analysisPanel, null);
+      renderQueryGroups(queryGroups, null);
+      lastResult = null;
+      exportBtn.disabled = true;
+      cancelPreview();
+      liveStatus.textContent = "";
       clearInputState();
     });
 
-    sqlInput.addEventListener("input", function onSqlInput() {
-      saveInputState(sqlInput.value, execInput.value);
-    });
+    for (const modeInput of modeInputs) {
+      modeInput.addEventListener("change", function onModeChange() {
+        applyInputMode(currentInputMode());
+        persistState();
+      });
+    }
 
-    execInput.addEventListener("input", function onExecInput() {
-      saveInputState(sqlInput.value, execInput.value);
+    outputModeSelect.addEventListener("change", function onOutputModeChange() {
+      applyOutputMode();
+      persistState();
     });
+    sourceCommentsInput.addEventListener("change", persistState);
+    navAnnotationsInput.addEventListener("change", persistState);
+    narrowIntegersInput.addEventListener("change", persistState);
+    redactValuesInput.addEventListener("change", persistState);
+    for (const control of Object.values(formatControls)) {
+      control.addEventListener("change", persistState);
+    }
+
+    sqlInput.addEventListener("input", persistState);
+    execInput.addEventListener("input", persistState);
+    callInput.addEventListener("input", persistState);
+
+    for (const input of [sqlInput, execInput, callInput, batchInput]) {
+      input.addEventListener("input", schedulePreview);
+    }
+    const previewControls = [outputModeSelect, sourceCommentsInput, navAnnotationsInput, narrowIntegersInput, redactValuesInput]
+      .concat(modeInputs, Object.values(formatControls));
+    for (const control of previewControls) {
+      control.addEventListener("change", schedulePreview);
+    }
+    schedulePreview();
   }
 
   const api = {
     generate,
+    generateFromCall,
+    generateBatch,
     parseExecStatement,
+    parseProcedureCall,
+    parseParameterDefinitions,
     parseValueToken,
+    describeNavLiteral,
     collectSqlParameters,
     replaceSqlParameters,
+    analyzeNavObjects,
+    tokenizeSql,
+    splitSqlBatches,
+    analyzeStatement,
+    fingerprintSql,
+    groupStatements,
+    parseSchema,
+    createHistoryEntry,
+    evictHistoryEntry,
+    addHistoryEntry,
+    searchHistory,
+    diffSqlTokens,
+    compareQueries,
+    parameterise,
+    exportMarkdown,
+    exportHtml,
+    exportJson,
+    redactTraceValues,
+    encodeShareFragment,
+    decodeShareFragment,
+    runGenerateRequest,
+    highlightSql,
+    findAssignmentOffset,
     applyFormatting,
+    resolveFormatOptions,
   };
 
   if (typeof module !== "undefined" && module.exports) {
@@ -774,7 +5858,9 @@
 
   global.NavSqlFormatter = api;
 
-  if (typeof document !== "undefined") {
+  if (typeof document === "undefined" && typeof global.importScripts === "function") {
+    startPreviewWorker();
+  } else if (typeof document !== "undefined") {
     if (document.readyState === "loading") {
       document.addEventListener("DOMContentLoaded", initUi);
     } else {
@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("node:fs");
+const NavSqlFormatter = require("./app.js");
+const sqlFormatter = require("./vendor/sql-formatter.min.js");
+
+const EXIT_OK = 0;
+const EXIT_FALLBACK = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: node cli.js [options]
+
+Input (a FILE of "-" reads stdin; with no input option, stdin is read as --call):
+  --sql FILE              Trace SQL statement (use together with --exec)
+  --exec FILE             Matching exec sp_execute ... statement
+  --call FILE             Single exec sp_executesql / sp_prepexec call
+  --batch FILE            Profiler / Extended Events text export
+
+Output:
+  --mode MODE             declare (default), inline or executesql
+  --source-comments       Inline mode: append /* @n */ after each literal
+  --nav-annotations       Prepend a NAV table/alias comment header
+  --narrow-integers       Infer bit/tinyint/smallint for integers that fit
+  --redact                Replace parameter values with synthetic values of the same type
+  --keep-numbers          With --redact, leave integer and decimal values as they are
+  --schema FILE           Resolve parameter types from INFORMATION_SCHEMA.COLUMNS
+                          (JSON/CSV export) or a CREATE TABLE script
+  --keyword-case CASE     upper (default), lower or preserve
+  --tab-width N           Indent width in spaces (default 2)
+  --use-tabs              Indent with tabs
+  --comma-position POS    trailing (default) or leading
+  --expression-width N    Maximum width of parenthesized expressions (default 50)
+  --lines-between-queries N
+                          Blank lines between DECLARE and statement (default 1)
+  --no-format             Leave the SQL unformatted
+  -h, --help              Show this help
+
+The script is written to stdout and warnings to stderr. The exit code is 1 when
+any parameter fell back to sql_variant, 2 on usage errors and unreadable input.`;
+
+const VALUE_FLAGS = {
+  "--sql": "sql",
+  "--exec": "exec",
+  "--call": "call",
+  "--batch": "batch",
+  "--mode": "mode",
+  "--schema": "schema",
+  "--keyword-case": "keywordCase",
+  "--tab-width": "tabWidth",
+  "--comma-position": "commaPosition",
+  "--expression-width": "expressionWidth",
+  "--lines-between-queries": "linesBetweenQueries",
+};
+
+// Allowed values of value flags that take a fixed choice.
+const CHOICE_FLAGS = {
+  "--mode": ["declare", "inline", "executesql"],
+  "--keyword-case": ["upper", "lower", "preserve"],
+  "--comma-position": ["trailing", "leading"],
+};
+
+// Smallest allowed value of integer flags.
+const INTEGER_FLAGS = {
+  "--tab-width": 1,
+  "--expression-width": 1,
+  "--lines-between-queries": 0,
+};
+
+const FORMAT_FLAGS = [
+  "keywordCase",
+  "tabWidth",
+  "useTabs",
+  "commaPosition",
+  "expressionWidth",
+  "linesBetweenQueries",
+];
+
+const BOOLEAN_FLAGS = {
+  "--source-comments": "sourceComments",
+  "--nav-annotations": "navAnnotations",
+  "--narrow-integers": "narrowIntegers",
+  "--redact": "redact",
+  "--keep-numbers": "keepNumbers",
+  "--use-tabs": "useTabs",
+  "--no-format": "noFormat",
+  "--help": "help",
+  "-h": "help",
+};
+
+const passthroughFormatter = {
+  format(sql) {
+    return sql;
+  },
+};
+
+class UsageError extends Error {}
+
+class InputError extends Error {}
+
+/**
+ * @param {string[]} argv Arguments without the node executable and script path.
+ * @returns {Object<string, string | boolean>}
+ */
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const equalsIndex = arg.indexOf("=");
+    const flag = arg.startsWith("--") && equalsIndex !== -1 ? arg.slice(0, equalsIndex) : arg;
+
+    if (VALUE_FLAGS[flag]) {
+      let value;
+      if (flag !== arg) {
+        value = arg.slice(equalsIndex + 1);
+      } else {
+        i += 1;
+        value = argv[i];
+      }
+      if (value === undefined || value === "") {
+        throw new UsageError(`Option ${flag} needs a value.`);
+      }
+      if (CHOICE_FLAGS[flag] && !CHOICE_FLAGS[flag].includes(value)) {
+        throw new UsageError(`Invalid value ${value} for ${flag}; use ${CHOICE_FLAGS[flag].join(", ")}.`);
+      }
+      if (flag in INTEGER_FLAGS && !(/^\d+$/.test(value) && Number(value) >= INTEGER_FLAGS[flag])) {
+        throw new UsageError(`Invalid value ${value} for ${flag}; use a whole number of at least ${INTEGER_FLAGS[flag]}.`);
+      }
+      args[VALUE_FLAGS[flag]] = value;
+      continue;
+    }
+
+    if (BOOLEAN_FLAGS[arg]) {
+      args[BOOLEAN_FLAGS[arg]] = true;
+      continue;
+    }
+
+    throw new UsageError(`Unknown option ${arg}.`);
+  }
+
+  if (Boolean(args.sql) !== Boolean(args.exec)) {
+    throw new UsageError("--sql and --exec must be used together.");
+  }
+
+  if (args.keepNumbers && !args.redact) {
+    throw new UsageError("--keep-numbers needs --redact.");
+  }
+
+  const inputs = [args.sql ? "sql" : null, args.call, args.batch].filter(Boolean);
+  if (inputs.length > 1) {
+    throw new UsageError("Use only one of --sql/--exec, --call and --batch.");
+  }
+
+  if (inputs.length === 0) {
+    args.call = "-";
+  }
+
+  const readsStdin = [args.sql, args.exec, args.call, args.batch, args.schema].filter(function isStdin(value) {
+    return value === "-";
+  });
+  if (readsStdin.length > 1) {
+    throw new UsageError("Only one input can be read from stdin.");
+  }
+
+  return args;
+}
+
+function readInput(fileName) {
+  try {
+    return fs.readFileSync(fileName === "-" ? 0 : fileName, "utf8");
+  } catch (error) {
+    // ENOENT, EISDIR, EACCES, ...: a problem with the arguments, not with the SQL.
+    throw new InputError(`Cannot read input file ${fileName === "-" ? "stdin" : fileName} (${error.code || error.message}).`);
+  }
+}
+
+/**
+ * @param {string[]} argv
+ * @returns {number} Process exit code.
+ */
+function run(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) {
+      throw error;
+    }
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+
+  if (args.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_OK;
+  }
+
+  const options = {
+    formatter: args.noFormat ? passthroughFormatter : sqlFormatter,
+    mode: args.mode,
+    sourceComments: Boolean(args.sourceComments),
+    navAnnotations: Boolean(args.navAnnotations),
+    narrowIntegers: Boolean(args.narrowIntegers),
+    redact: args.redact ? { keepNumbers: Boolean(args.keepNumbers) } : false,
+    formatOptions: FORMAT_FLAGS.reduce(function pick(formatOptions, name) {
+      if (args[name] !== undefined) {
+        formatOptions[name] = args[name];
+      }
+      return formatOptions;
+    }, {}),
+  };
+
+  let outputSql;
+  let warnings;
+  let fallbackParams;
+
+  try {
+    if (args.schema) {
+      options.schema = NavSqlFormatter.parseSchema(readInput(args.schema));
+      for (const warning of options.schema.warnings) {
+        process.stderr.write(`warning: ${warning}\n`);
+      }
+    }
+
+    if (args.batch) {
+      const batch = NavSqlFormatter.generateBatch(readInput(args.batch), options);
+      outputSql = batch.outputSql;
+      warnings = batch.warnings;
+      fallbackParams = batch.statements.reduce(function collect(names, statement) {
+        return names.concat(statement.result.fallbackParams);
+      }, []);
+    } else {
+      const result = args.call
+        ? NavSqlFormatter.generateFromCall(readInput(args.call), options)
+        : NavSqlFormatter.generate(readInput(args.sql), readInput(args.exec), options);
+      outputSql = result.outputSql;
+      warnings = result.warnings;
+      fallbackParams = result.fallbackParams;
+    }
+  } catch (error) {
+    if (error instanceof InputError) {
+      process.stderr.write(`${error.message}\n`);
+      return EXIT_USAGE;
+    }
+    throw error;
+  }
+
+  process.stdout.write(outputSql ? `${outputSql}\n` : "");
+  for (const warning of warnings) {
+    process.stderr.write(`warning: ${warning}\n`);
+  }
+
+  return fallbackParams.length > 0 ? EXIT_FALLBACK : EXIT_OK;
+}
+
+module.exports = { parseArgs, run };
+
+if (require.main === module) {
+  process.exitCode = run(process.argv.slice(2));
+}
@@ -0,0 +1,90 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { tmpdir } from "node:os";
+import { fileURLToPath } from "node:url";
+
+const cliPath = fileURLToPath(new URL("../cli.js", import.meta.url));
+
+function runCli(args, input) {
+  return spawnSync(process.execPath, [cliPath, ...args], { input, encoding: "utf8" });
+}
+
+test("cli reads a single call from stdin and writes the script to stdout", () => {
+  const result = runCli(["--no-format"], "exec sp_executesql N'SELECT @0 AS A',N'@0 int',@0=5");
+
+  assert.equal(result.status, 0);
+  assert.equal(result.stdout, "DECLARE @0 int = 5;\n\nSELECT @0 AS A\n");
+  assert.equal(result.stderr, "");
+});
+
+test("cli exits non-zero and reports warnings when a parameter falls back to sql_variant", () => {
+  const result = runCli(["--no-format", "--mode=inline"], "exec sp_executesql N'SELECT @0, @1',N'@0 int',@0=1");
+
+  assert.equal(result.status, 1);
+  assert.equal(result.stdout, "SELECT 1, @1\n");
+  assert.match(result.stderr, /^warning: Missing value for @1/);
+});
+
+test("cli rejects unknown options with a usage error", () => {
+  const result = runCli(["--bogus"], "");
+
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /Unknown option --bogus/);
+});
+
+test("cli passes formatting flags through to the DECLARE layout", () => {
+  const result = runCli(
+    ["--no-format", "--keyword-case", "lower", "--use-tabs", "--comma-position=leading"],
+    "exec sp_executesql N'SELECT @0, @1',N'@0 int,@1 int',@0=1,@1=2",
+  );
+
+  assert.equal(result.status, 0);
+  assert.equal(result.stdout, "declare @0 int = 1\n\t, @1 int = 2;\n\nSELECT @0, @1\n");
+});
+
+test("cli --redact replaces parameter values", () => {
+  const result = runCli(["--no-format", "--redact"], "exec sp_executesql N'SELECT @0',N'@0 nvarchar(5)',@0=N'Alpha'");
+
+  assert.equal(result.status, 0);
+  assert.match(result.stdout, /^DECLARE @0 nvarchar\(5\) = N'[A-Z][a-z]{4}';/);
+  assert.doesNotMatch(result.stdout, /Alpha/);
+});
+
+test("cli rejects --keep-numbers without --redact", () => {
+  const result = runCli(["--keep-numbers"], "exec sp_executesql N'SELECT @0',N'@0 int',@0=5");
+
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /--keep-numbers needs --redact/);
+});
+
+test("cli reports unreadable input files with exit code 2", () => {
+  const missing = runCli(["--batch", "/nonexistent/trace.txt"], "");
+  assert.equal(missing.status, 2);
+  assert.equal(missing.stderr, "Cannot read input file /nonexistent/trace.txt (ENOENT).\n");
+
+  const directory = runCli(["--batch", tmpdir()], "");
+  assert.equal(directory.status, 2);
+  assert.equal(directory.stderr, `Cannot read input file ${tmpdir()} (EISDIR).\n`);
+});
+
+test("cli rejects an unknown --mode with a usage error", () => {
+  const result = runCli(["--mode", "bogus"], "exec sp_executesql N'SELECT 1'");
+
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /^Invalid value bogus for --mode; use declare, inline, executesql\./);
+});
+
+test("cli rejects invalid formatting values with a usage error", () => {
+  for (const [args, message] of [
+    [["--keyword-case", "weird"], /^Invalid value weird for --keyword-case; use upper, lower, preserve\./],
+    [["--comma-position=sideways"], /^Invalid value sideways for --comma-position; use trailing, leading\./],
+    [["--tab-width", "abc"], /^Invalid value abc for --tab-width; use a whole number of at least 1\./],
+    [["--expression-width", "0"], /^Invalid value 0 for --expression-width; use a whole number of at least 1\./],
+    [["--lines-between-queries=-1"], /^Invalid value -1 for --lines-between-queries; use a whole number of at least 0\./],
+  ]) {
+    const result = runCli(args, "exec sp_executesql N'SELECT 1'");
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, message);
+  }
+});
@@ -5,10 +5,37 @@ import { createRequire } from "node:module";
 const require = createRequire(import.meta.url);
 const {
   generate,
+  generateFromCall,
+  generateBatch,
   parseExecStatement,
+  parseProcedureCall,
+  parseParameterDefinitions,
   parseValueToken,
+  describeNavLiteral,
   collectSqlParameters,
   replaceSqlParameters,
+  analyzeNavObjects,
+  tokenizeSql,
+  splitSqlBatches,
+  analyzeStatement,
+  fingerprintSql,
+  parseSchema,
+  createHistoryEntry,
+  evictHistoryEntry,
+  addHistoryEntry,
+  searchHistory,
+  diffSqlTokens,
+  compareQueries,
+  parameterise,
+  exportMarkdown,
+  exportHtml,
+  exportJson,
+  redactTraceValues,
+  encodeShareFragment,
+  decodeShareFragment,
+  runGenerateRequest,
+  highlightSql,
+  findAssignmentOffset,
 } = require("../app.js");
 
 const passthroughFormatter = {
@@ -120,6 +147,10 @@ test("replaceSqlParameters does not replace placeholders inside strings or comme
   const replaced = replaceSqlParameters(sql, params);
 
   assert.equal(replaced, "SELECT '@0' AS s, 9 AS v -- @0 in comment\n/* @0 block */");
+  assert.equal(
+    replaceSqlParameters("SELECT @0, @1", params, { sourceComments: true }),
+    "SELECT 9 /* @0 */, @1",
+  );
 });
 
 test("collectSqlParameters ignores system variables and quoted references", () => {
@@ -173,3 +204,921 @@ test("formatter failures fall back to unformatted output with warning", () => {
   assert.ok(result.outputSql.startsWith("DECLARE @0 int = 1;"));
   assert.ok(result.warnings.some((warning) => warning.includes("SQL formatter failed")));
 });
+
+test("parseParameterDefinitions keeps precision commas inside type names", () => {
+  const definitions = parseParameterDefinitions("@0 nvarchar(20),@1 decimal(38, 20),@2 int OUTPUT");
+
+  assert.equal(definitions.size, 3);
+  assert.equal(definitions.get("@0").sqlType, "nvarchar(20)");
+  assert.equal(definitions.get("@1").sqlType, "decimal(38,20)");
+  assert.equal(definitions.get("@2").sqlType, "int");
+  assert.equal(definitions.get("@2").isOutput, true);
+  assert.equal(parseParameterDefinitions("SELECT 1"), null);
+});
+
+test("generate uses the sp_prepexec definition string as declared types", () => {
+  const sql = "SELECT @0 AS A, @1 AS B, @2 AS C";
+  const exec =
+    "exec sp_prepexec @p1 output,N'@0 nvarchar(20),@1 decimal(38,20),@2 int',N'SELECT @0 AS A, @1 AS B, @2 AS C',@0=N'ITEM',@1=0,@2=NULL";
+
+  const result = generate(sql, exec, { formatter: passthroughFormatter });
+
+  assert.match(
+    result.outputSql,
+    /DECLARE @0 nvarchar\(20\) = N'ITEM',\n\s*@1 decimal\(38,20\) = 0,\n\s*@2 int = NULL;/,
+  );
+  assert.equal(result.params[0].declaredType, "nvarchar(20)");
+  assert.deepEqual(result.warnings, []);
+});
+
+test("parseExecStatement warns when a literal disagrees with its declared type", () => {
+  const exec = "exec sp_prepexec @p1 output,N'@0 nvarchar(2),@1 int',N'SELECT @0, @1',@0=N'ABC',@1=N'x'";
+
+  const result = parseExecStatement(exec);
+
+  assert.ok(result.warnings.some((warning) => warning.includes("@0 does not match declared type nvarchar(2)")));
+  assert.ok(result.warnings.some((warning) => warning.includes("@1 does not match declared type int")));
+});
+
+test("parseProcedureCall splits sp_executesql into statement, definitions and values", () => {
+  const call = "exec sp_executesql N'SELECT * FROM \"T\" WHERE \"Name\" = ''X'' AND \"No_\" = @0',N'@0 nvarchar(20),@1 int',N'ITEM',@1=5";
+
+  const result = parseProcedureCall(call);
+
+  assert.equal(result.procedure, "sp_executesql");
+  assert.equal(result.sqlText, "SELECT * FROM \"T\" WHERE \"Name\" = 'X' AND \"No_\" = @0");
+  assert.equal(result.definitionText, "@0 nvarchar(20),@1 int");
+  assert.deepEqual(result.assignments, [
+    { name: "@0", valueToken: "N'ITEM'" },
+    { name: "@1", valueToken: "5" },
+  ]);
+  assert.deepEqual(result.warnings, []);
+});
+
+test("generateFromCall runs a single sp_prepexec call through the DECLARE pipeline", () => {
+  const call = "exec sp_prepexec @p1 output,N'@0 int',N'SELECT @0 AS A',@0=7";
+
+  const result = generateFromCall(call, { formatter: passthroughFormatter });
+
+  assert.equal(result.outputSql, "DECLARE @0 int = 7;\n\nSELECT @0 AS A");
+  assert.deepEqual(result.warnings, []);
+});
+
+test("parseExecStatement maps positional sp_execute values onto @0..@n", () => {
+  const result = parseExecStatement("exec sp_execute 27, 5, N'ITEM', 0x00, @p2 output");
+
+  assert.equal(result.handle, "27");
+  assert.equal(result.params.size, 3);
+  assert.equal(result.params.get("@0").inferredType, "int");
+  assert.equal(result.params.get("@1").normalizedLiteral, "N'ITEM'");
+  assert.equal(result.params.get("@2").inferredType, "varbinary(1)");
+  assert.deepEqual(result.warnings, []);
+});
+
+test("generateBatch matches sp_execute calls to their prepared handle", () => {
+  const trace = [
+    "declare @p1 int",
+    "set @p1=27",
+    "exec sp_prepare @p1 output,N'@0 int,@1 nvarchar(20)',N'SELECT * FROM \"T\"",
+    "WHERE \"A\"=@0 AND \"B\"=@1',1",
+    "select @p1",
+    "exec sp_execute 27,@0=5,",
+    "@1=N'X'",
+    "exec sp_execute 99,1",
+  ].join("\n");
+
+  const batch = generateBatch(trace, { formatter: passthroughFormatter });
+
+  assert.equal(batch.statements.length, 2);
+  assert.equal(batch.statements[0].handle, "27");
+  assert.match(
+    batch.outputSql,
+    /^-- Statement 1 \(sp_execute, handle 27\)\nDECLARE @0 int = 5,\n\s*@1 nvarchar\(20\) = N'X';\n\nSELECT \* FROM "T" WHERE "A"=@0 AND "B"=@1\nGO\n/,
+  );
+  assert.deepEqual(batch.warnings, [
+    "Statement 2: No sp_prepare or sp_prepexec was found for handle 99; statement skipped.",
+  ]);
+});
+
+test("generate inline mode replaces placeholders with literals and no DECLARE", () => {
+  const sql = "SELECT * FROM T WHERE A = @0 AND B = @1 AND C = '@0' AND D = @2";
+  const exec = "exec sp_execute 71,@0=7,@1=N'AB'";
+
+  const result = generate(sql, exec, { formatter: passthroughFormatter, mode: "inline" });
+
+  assert.equal(result.mode, "inline");
+  assert.equal(result.outputSql, "SELECT * FROM T WHERE A = 7 AND B = N'AB' AND C = '@0' AND D = @2");
+  assert.ok(result.warnings.some((warning) => warning.includes("Missing value for @2 in EXEC statement; leaving the placeholder")));
+});
+
+test("generate inline mode can annotate each literal with its source placeholder", () => {
+  const result = generate("SELECT @0, @1", "exec sp_execute 71,@0=7,@1=NULL", {
+    formatter: passthroughFormatter,
+    mode: "inline",
+    sourceComments: true,
+  });
+
+  assert.equal(result.outputSql, "SELECT 7 /* @0 */, NULL /* @1 */");
+  assert.deepEqual(result.warnings, []);
+});
+
+test("generate executesql mode rebuilds a parameterised sp_executesql call", () => {
+  const sql = "SELECT * FROM T WHERE Name = 'O''Brien' AND A = @1 AND B = @0 AND C = @2";
+  const exec = "exec sp_execute 71,@0=N'AB',@1=7";
+
+  const result = generate(sql, exec, { formatter: passthroughFormatter, mode: "executesql" });
+
+  assert.equal(result.mode, "executesql");
+  assert.equal(
+    result.outputSql,
+    [
+      "EXEC sp_executesql N'SELECT * FROM T WHERE Name = ''O''''Brien'' AND A = @1 AND B = @0 AND C = @2',",
+      "  N'@0 nvarchar(2), @1 int, @2 sql_variant',",
+      "  @0 = N'AB',",
+      "  @1 = 7,",
+      "  @2 = NULL;",
+    ].join("\n"),
+  );
+  assert.ok(result.warnings.some((warning) => warning.includes("Missing value for @2 in EXEC statement; passing NULL")));
+});
+
+test("analyzeNavObjects splits company, table and extension GUID from quoted identifiers", () => {
+  const sql =
+    'SELECT "SL"."No_" FROM "CRONUS$Sales Line$437dbf0e-84ff-417a-965d-ed2bb9650972" "SL" ' +
+    "JOIN [CRONUS$Sales Header] ON 1 = 1 WHERE '\"X$Y\"' = @0";
+
+  const navObjects = analyzeNavObjects(sql);
+
+  assert.deepEqual(navObjects.companies, ["CRONUS"]);
+  assert.deepEqual(navObjects.extensions, ["437dbf0e-84ff-417a-965d-ed2bb9650972"]);
+  assert.deepEqual(
+    navObjects.tables.map((table) => [table.table, table.alias]),
+    [
+      ["Sales Line", "SL"],
+      ["Sales Header", "SH"],
+    ],
+  );
+  assert.deepEqual(navObjects.fields, [{ column: "No_", alName: "No." }]);
+});
+
+test("generate prepends a table alias header when navAnnotations is on", () => {
+  const result = generate('SELECT * FROM "CRONUS$Item" WHERE "No_" = @0', "exec sp_execute 1,@0=N'A'", {
+    formatter: passthroughFormatter,
+    navAnnotations: true,
+  });
+
+  assert.ok(result.outputSql.startsWith('-- Tables:\n--   I = "CRONUS$Item" (company CRONUS, table Item)\nDECLARE @0'));
+  assert.equal(result.navObjects.tables[0].table, "Item");
+});
+
+test("describeNavLiteral recognises NAV date, GUID and rowversion conventions", () => {
+  assert.equal(describeNavLiteral("'1753-01-01 00:00:00.000'"), "blank date");
+  assert.equal(describeNavLiteral("'9999-12-31 23:59:59.997'"), "max date");
+  assert.equal(describeNavLiteral("'1754-01-01 10:30:00'"), "time 10:30:00");
+  assert.equal(
+    describeNavLiteral("0x33221100554477668899AABBCCDDEEFF"),
+    "GUID {00112233-4455-6677-8899-AABBCCDDEEFF}",
+  );
+  assert.equal(describeNavLiteral("0x00000000000007D1"), "rowversion 0x00000000000007D1 (2001)");
+  assert.equal(describeNavLiteral("'2025-01-01'"), null);
+  assert.equal(describeNavLiteral("42"), null);
+});
+
+test("generate shows NAV literal meanings as comments on DECLARE lines", () => {
+  const result = generate("SELECT @0, @1", "exec sp_execute 71,@0='1753-01-01 00:00:00',@1=5", {
+    formatter: passthroughFormatter,
+  });
+
+  assert.match(result.outputSql, /DECLARE @0 datetime = '1753-01-01 00:00:00' \/\* blank date \*\/,\n\s*@1 int = 5;/);
+  assert.equal(result.params[0].meaning, "blank date");
+  assert.equal(result.params[1].meaning, null);
+});
+
+test("format options control DECLARE layout, keyword case and comma position", () => {
+  const result = generate("SELECT @0, @1", "exec sp_execute 71,@0=7,@1=8", {
+    formatter: passthroughFormatter,
+    formatOptions: { keywordCase: "lower", tabWidth: 4, commaPosition: "leading", linesBetweenQueries: 2 },
+  });
+
+  assert.equal(result.outputSql, "declare @0 int = 7\n    , @1 int = 8;\n\n\nSELECT @0, @1");
+});
+
+test("leading comma position moves line-end commas outside strings and comments", () => {
+  const lineFormatter = {
+    format() {
+      return "SELECT\n  a,\n  'x,\n' AS b, -- c,\n  d";
+    },
+  };
+
+  const result = generate("SELECT 1", "", {
+    formatter: lineFormatter,
+    formatOptions: { commaPosition: "leading" },
+  });
+
+  assert.equal(result.outputSql, "SELECT\n  a\n  , 'x,\n' AS b, -- c,\n  d");
+});
+
+test("parseValueToken infers uniqueidentifier, datetime2, float and explicit casts", () => {
+  assert.equal(parseValueToken("'0e4e5a5a-84ff-417a-965d-ed2bb9650972'").inferredType, "uniqueidentifier");
+  assert.equal(parseValueToken("N'{0E4E5A5A-84FF-417A-965D-ED2BB9650972}'").inferredType, "uniqueidentifier");
+  assert.equal(parseValueToken("'2025-12-31 10:00:00.123'").inferredType, "datetime");
+  assert.equal(parseValueToken("'2025-12-31 10:00:00.1234567'").inferredType, "datetime2(7)");
+  assert.equal(parseValueToken("1.5E+3").inferredType, "float");
+  assert.equal(parseValueToken("CAST(5 AS decimal (10, 2))").inferredType, "decimal(10,2)");
+  assert.equal(parseValueToken("CONVERT(datetime, '2020-01-01', 120)").inferredType, "datetime");
+});
+
+test("parseValueToken measures nvarchar length in UTF-16 code units", () => {
+  assert.equal(parseValueToken("N'a\u{1F600}'").inferredType, "nvarchar(3)");
+});
+
+test("parseValueToken narrows integers only when asked", () => {
+  assert.equal(parseValueToken("1").inferredType, "int");
+  assert.equal(parseValueToken("1", { narrowIntegers: true }).inferredType, "bit");
+  assert.equal(parseValueToken("200", { narrowIntegers: true }).inferredType, "tinyint");
+  assert.equal(parseValueToken("-200", { narrowIntegers: true }).inferredType, "smallint");
+  assert.equal(parseValueToken("40000", { narrowIntegers: true }).inferredType, "int");
+});
+
+test("parseExecStatement keeps commas inside CONVERT(...) values together", () => {
+  const result = parseExecStatement("exec sp_execute 71,@0=CONVERT(datetime, '2020-01-01', 120),@1=3");
+
+  assert.equal(result.params.get("@0").inferredType, "datetime");
+  assert.equal(result.params.get("@1").normalizedLiteral, "3");
+});
+
+test("tokenizeSql keeps quoted text, identifiers and comments as single tokens", () => {
+  const tokens = tokenizeSql("SELECT [A]]B], N'x''y' -- c\nFROM \"T\" WHERE a>=@0");
+
+  assert.deepEqual(
+    tokens.map((token) => [token.type, token.value]),
+    [
+      ["word", "SELECT"],
+      ["identifier", "A]B"],
+      ["punctuation", ","],
+      ["string", "N'x''y'"],
+      ["comment", "-- c"],
+      ["word", "FROM"],
+      ["identifier", "T"],
+      ["word", "WHERE"],
+      ["word", "a"],
+      ["operator", ">="],
+      ["param", "@0"],
+    ],
+  );
+});
+
+test("parseSchema reads INFORMATION_SCHEMA CSV/JSON exports and CREATE TABLE scripts", () => {
+  const csv = parseSchema(
+    "TABLE_NAME;COLUMN_NAME;DATA_TYPE;CHARACTER_MAXIMUM_LENGTH;NUMERIC_PRECISION;NUMERIC_SCALE\n" +
+      '"CRONUS$Item";No_;nvarchar;20;NULL;NULL\nCRONUS$Item;"Unit Price";decimal;NULL;38;20\n',
+  );
+  const json = parseSchema(JSON.stringify([{ TABLE_NAME: "T", COLUMN_NAME: "A", DATA_TYPE: "varbinary", CHARACTER_MAXIMUM_LENGTH: -1 }]));
+  const ddl = parseSchema("CREATE TABLE [dbo].[T] ([Qty] [decimal](38, 20) NOT NULL, CONSTRAINT [PK] PRIMARY KEY ([Qty]))");
+
+  assert.equal(csv.tables.get("cronus$item").get("unit price").sqlType, "decimal(38,20)");
+  assert.equal(csv.tables.get("cronus$item").get("no_").sqlType, "nvarchar(20)");
+  assert.equal(json.tables.get("t").get("a").sqlType, "varbinary(max)");
+  assert.deepEqual(Array.from(ddl.tables.get("t").keys()), ["qty"]);
+  assert.equal(ddl.tables.get("t").get("qty").sqlType, "decimal(38,20)");
+});
+
+test("generate resolves parameter types from schema predicates", () => {
+  const schema = parseSchema(
+    "CREATE TABLE [CRONUS$Item Ledger Entry] ([Entry No_] int, [Quantity] decimal(38,20), [Item No_] nvarchar(20), [Posting Date] datetime)",
+  );
+  const sql =
+    'SELECT * FROM "CRONUS$Item Ledger Entry" AS ILE WHERE ILE."Quantity" = @0 AND "Item No_" IN (@1, @2) ' +
+    'AND "Posting Date" BETWEEN @3 AND @4 AND @5 < "Entry No_" AND X = @6';
+  const exec = "exec sp_execute 1,@0=0,@1=N'A',@2=N'B',@3='2020-01-01',@4='2020-12-31',@5=7,@6=1";
+
+  const result = generate(sql, exec, { formatter: passthroughFormatter, schema });
+
+  assert.match(result.outputSql, /@0 decimal\(38,20\) = 0,/);
+  assert.match(result.outputSql, /@2 nvarchar\(20\) = N'B',/);
+  assert.match(result.outputSql, /@3 datetime = '2020-01-01',/);
+  assert.match(result.outputSql, /@5 int = 7,/);
+  assert.equal(result.params[0].schemaType, "decimal(38,20)");
+  assert.ok(result.warnings.includes("Type for @0 resolved from schema column CRONUS$Item Ledger Entry.Quantity (decimal(38,20))."));
+  assert.ok(result.warnings.includes("Type for @6 is still guessed; no schema column matched."));
+});
+
+test("highlightSql classifies tokens and keys placeholders without losing text", () => {
+  const sql = "SELECT \"No_\" FROM T WHERE A = @0 AND B = N'@1' -- @2\n AND C > 5 AND D = @@ROWCOUNT";
+  const segments = highlightSql(sql);
+
+  assert.equal(segments.map((segment) => segment.text).join(""), sql);
+  assert.deepEqual(
+    segments.filter((segment) => segment.className === "param").map((segment) => segment.paramKey),
+    ["@0"],
+  );
+  assert.deepEqual(segments.find((segment) => segment.text === "SELECT"), { text: "SELECT", className: "keyword" });
+  assert.equal(segments.find((segment) => segment.text === "N'@1'").className, "string");
+  assert.equal(segments.find((segment) => segment.text === "-- @2").className, "comment");
+  assert.equal(segments.find((segment) => segment.text === "5").className, "number");
+});
+
+test("findAssignmentOffset locates named EXEC assignments and positional values", () => {
+  const exec = "exec sp_executesql N'SELECT @1',N'@1 int, @10 int',@10=3,@1=N'@1=x'";
+
+  const start = exec.indexOf(",@1=") + 1;
+  assert.deepEqual(findAssignmentOffset(exec, "@1"), { start, end: start + 2 });
+  assert.equal(exec.slice(findAssignmentOffset(exec, "@10").start, findAssignmentOffset(exec, "@10").end), "@10");
+  assert.deepEqual(findAssignmentOffset("exec sp_execute 5,1,2", "@1"), { start: 20, end: 21 });
+  assert.equal(findAssignmentOffset("exec sp_execute 5,1,2", "@2"), null);
+
+  const cursor = "exec sp_cursorexecute 7,@p2 output,16,8193,0,@p6 output,N'B'";
+  assert.equal(cursor.slice(findAssignmentOffset(cursor, "@1").start, findAssignmentOffset(cursor, "@1").end), "N'B'");
+  assert.equal(findAssignmentOffset(cursor, "@0"), null);
+
+  const call = "exec sp_prepexec @p1 output,N'@P1 int,@P2 nvarchar(5)',N'SELECT @P1, @P2',42, N'x'";
+  assert.equal(call.slice(findAssignmentOffset(call, "@P2").start, findAssignmentOffset(call, "@P2").end), "N'x'");
+  assert.equal(findAssignmentOffset(call, "@0"), null);
+});
+
+test("generate reports structured diagnostics with codes, severity and source offsets", () => {
+  const sql = "SELECT * FROM T WHERE A = @0 AND B = @1";
+  const exec = "exec sp_execute 1,@0=NULL,@5=7";
+
+  const result = generate(sql, exec, { formatter: passthroughFormatter });
+  const byCode = new Map(result.diagnostics.map((diagnostic) => [diagnostic.code, diagnostic]));
+
+  assert.deepEqual(result.warnings, result.diagnostics.map((diagnostic) => diagnostic.message));
+  assert.deepEqual(byCode.get("MISSING_VALUE"), {
+    code: "MISSING_VALUE",
+    severity: "error",
+    message: "Missing value for @1 in EXEC statement; declaring as uninitialized sql_variant.",
+    param: "@1",
+    sqlRange: { start: sql.indexOf("@1"), end: sql.indexOf("@1") + 2 },
+    execRange: null,
+  });
+  assert.equal(byCode.get("LOW_CONFIDENCE").param, "@0");
+  assert.deepEqual(byCode.get("LOW_CONFIDENCE").execRange, { start: exec.indexOf("@0"), end: exec.indexOf("@0") + 2 });
+  assert.equal(byCode.get("UNREFERENCED_EXEC_PARAM").severity, "info");
+  assert.equal(byCode.get("UNREFERENCED_EXEC_PARAM").sqlRange, null);
+});
+
+test("generateBatch and parseProcedureCall keep diagnostics next to message strings", () => {
+  const call = parseProcedureCall("select 1");
+  assert.deepEqual(call.warnings, [
+    "No sp_executesql, sp_prepexec, sp_prepare, sp_cursorprepexec, sp_cursorprepare or sp_cursoropen call was found in the trace text.",
+  ]);
+  assert.deepEqual(parseProcedureCall("exec sp_cursorfetch 180150003,2,1,1").warnings, [
+    "The sp_cursorfetch call carries no statement text; paste the call that prepared or opened it, or load the whole trace as a trace file.",
+  ]);
+  assert.equal(call.diagnostics[0].code, "NO_CALL_FOUND");
+
+  const batch = generateBatch("exec sp_execute 9, 1", { formatter: passthroughFormatter });
+  assert.equal(batch.diagnostics[0].code, "UNKNOWN_HANDLE");
+  assert.equal(batch.diagnostics[0].statement, 1);
+  assert.equal(batch.diagnostics[0].message, batch.warnings[0]);
+});
+
+test("analyzeStatement lists kind, tables, joins, hints, limits and options", () => {
+  const analysis = analyzeStatement(
+    'SELECT TOP (50) "No_" FROM "CRONUS$Item" AS "I" WITH(READUNCOMMITTED) ' +
+    'LEFT OUTER JOIN "CRONUS$Item Ledger Entry" ILE WITH(UPDLOCK, REPEATABLEREAD) ON ILE."Item No_" = "I"."No_" ' +
+    'WHERE "I"."Blocked" = @0 AND CAST("Description" AS nvarchar(50)) = @1 ' +
+    'ORDER BY "I"."No_" DESC OFFSET 0 ROWS FETCH NEXT @2 ROWS ONLY OPTION(OPTIMIZE FOR UNKNOWN, FAST 50)',
+  );
+
+  assert.equal(analysis.kind, "SELECT");
+  assert.deepEqual(analysis.tables, [
+    { name: "CRONUS$Item", alias: "I", role: "from", join: null, hints: ["READUNCOMMITTED"] },
+    {
+      name: "CRONUS$Item Ledger Entry",
+      alias: "ILE",
+      role: "join",
+      join: "LEFT OUTER JOIN",
+      hints: ["UPDLOCK", "REPEATABLEREAD"],
+    },
+  ]);
+  assert.deepEqual(analysis.whereColumns, ["I.Blocked", "Description"]);
+  assert.deepEqual(analysis.orderByColumns, ["I.No_"]);
+  assert.deepEqual(analysis.hints, ["READUNCOMMITTED", "UPDLOCK", "REPEATABLEREAD"]);
+  assert.equal(analysis.top, "50");
+  assert.deepEqual(analysis.offsetFetch, { offset: "0", fetch: "@2" });
+  assert.deepEqual(analysis.options, ["OPTIMIZE FOR UNKNOWN", "FAST 50"]);
+  assert.deepEqual(analysis.findings.map((finding) => finding.code), ["NON_SARGABLE_FUNCTION"]);
+});
+
+test("generate flags leading-wildcard LIKE from literals and parameter values", () => {
+  const sql = 'DELETE FROM "T" WHERE "A" LIKE N\'%x\' AND "B" LIKE @0 AND "C" LIKE @1 AND DATEADD(day, 1, "D") > @2';
+  const exec = "exec sp_execute 1,@0=N'%y',@1=N'y%',@2='2020-01-01'";
+
+  const result = generate(sql, exec, { formatter: passthroughFormatter });
+
+  assert.equal(result.analysis.kind, "DELETE");
+  assert.deepEqual(result.analysis.findings.map((finding) => finding.message), [
+    "LIKE N'%x' on A starts with a wildcard; an index on the column cannot be used for a seek.",
+    "LIKE @0 (N'%y') on B starts with a wildcard; an index on the column cannot be used for a seek.",
+    "DATEADD() on D in a predicate is not SARGable; an index on the column cannot be used for a seek.",
+  ]);
+});
+
+test("splitSqlBatches splits on ; and GO lines outside quotes, comments and parentheses", () => {
+  const sql = "SELECT 'a;\nGO'; SELECT (1;2)\n  go 2\nSELECT 3 -- ; GO\nGO\n";
+
+  assert.deepEqual(splitSqlBatches(sql), [["SELECT 'a;\nGO';", "SELECT (1;2)"], ["SELECT 3 -- ; GO"]]);
+  assert.deepEqual(splitSqlBatches("SELECT 1"), [["SELECT 1"]]);
+});
+
+test("generate declares parameters per GO batch and names the statement in warnings", () => {
+  const sql = "CREATE TABLE #t (a int);\nINSERT INTO #t SELECT a FROM T WHERE b = @0;\nSELECT * FROM #t WHERE a > @1\nGO\nSELECT @2, @0";
+  const exec = "exec sp_execute 1,@0=5,@1=7";
+
+  const result = generate(sql, exec, { formatter: passthroughFormatter });
+
+  assert.equal(result.statementCount, 4);
+  assert.equal(result.batchCount, 2);
+  assert.equal(
+    result.outputSql,
+    [
+      "DECLARE @0 int = 5,",
+      "  @1 int = 7;",
+      "",
+      "CREATE TABLE #t (a int);",
+      "",
+      "INSERT INTO #t SELECT a FROM T WHERE b = @0;",
+      "",
+      "SELECT * FROM #t WHERE a > @1",
+      "GO",
+      "",
+      "DECLARE @0 int = 5,",
+      "  @2 sql_variant;",
+      "",
+      "SELECT @2, @0",
+    ].join("\n"),
+  );
+  assert.deepEqual(result.warnings, [
+    "Statement 4: Missing value for @2 in EXEC statement; declaring as uninitialized sql_variant.",
+  ]);
+  assert.equal(result.diagnostics[0].statement, 4);
+});
+
+test("history entries summarise a run, replace repeats, keep pins and respect the cap", () => {
+  const state = { sql: 'SELECT * FROM "CRONUS$Item" WHERE "No_" = @0', exec: "exec sp_execute 1,@0=N'A'", inputMode: "split", outputMode: "declare" };
+  const result = generate(state.sql, state.exec, { formatter: passthroughFormatter });
+  const entry = createHistoryEntry(state, "", result, new Date("2026-01-02T03:04:05Z"));
+
+  assert.equal(entry.timestamp, "2026-01-02T03:04:05.000Z");
+  assert.equal(entry.firstTable, "CRONUS$Item");
+  assert.equal(entry.paramCount, 1);
+  assert.equal(entry.warningCount, 0);
+
+  const pinned = Object.assign({}, entry, { pinned: true, label: "Item lookup" });
+  const other = createHistoryEntry(Object.assign({}, state, { exec: "exec sp_execute 1,@0=N'B'" }), "", result);
+  let history = addHistoryEntry([other, pinned], createHistoryEntry(state, "", result));
+  assert.equal(history.length, 2);
+  assert.equal(history[0].label, "Item lookup");
+  assert.equal(history[0].pinned, true);
+
+  for (let i = 0; i < 5; i += 1) {
+    history = addHistoryEntry(history, createHistoryEntry(Object.assign({}, state, { exec: `x${i}` }), "", result), 3);
+  }
+  assert.equal(history.length, 3);
+  assert.ok(history.some((item) => item.pinned));
+  assert.deepEqual(searchHistory(history, "item LOOKUP").map((item) => item.label), ["Item lookup"]);
+  assert.equal(searchHistory(history, "x4").length, 1);
+});
+
+test("diffSqlTokens ignores layout, case and comments and reports token changes", () => {
+  assert.deepEqual(diffSqlTokens("select a\n from \"T\" -- x", "SELECT a FROM \"T\""), [
+    { type: "same", text: 'SELECT A FROM "T"' },
+  ]);
+  assert.deepEqual(diffSqlTokens("SELECT a FROM T WHERE b = @0", "SELECT a, c FROM T WHERE b > @0"), [
+    { type: "same", text: "SELECT A" },
+    { type: "added", text: ", C" },
+    { type: "same", text: "FROM T WHERE B" },
+    { type: "removed", text: "=" },
+    { type: "added", text: ">" },
+    { type: "same", text: "@0" },
+  ]);
+});
+
+test("compareQueries separates statement changes from parameter value and type changes", () => {
+  const sql = 'SELECT * FROM "T" WHERE "A" = @0 AND "B" = @3';
+  const comparison = compareQueries(
+    { sql, exec: "exec sp_execute 1,@0=1,@3=N'X'" },
+    { call: `exec sp_executesql N'${sql.replace(/'/g, "''")}',N'@0 int,@3 nvarchar(20)',@0=1,@3=N'Y'` },
+    { formatter: passthroughFormatter },
+  );
+
+  assert.equal(comparison.sameSql, true);
+  assert.deepEqual(comparison.paramDifferences, [
+    {
+      name: "@3",
+      left: { value: "N'X'", sqlType: "nvarchar(1)" },
+      right: { value: "N'Y'", sqlType: "nvarchar(20)" },
+      valueChanged: true,
+      typeChanged: true,
+    },
+  ]);
+});
+
+test("fingerprintSql ignores literals, layout, IN-list length, cursor names and extension GUIDs", () => {
+  const a = fingerprintSql('SELECT * FROM "CRONUS$Item$437dbf0e-84ff-417a-965d-ed2bb9650972" WHERE "No_" IN (@0, @1) AND x = 5');
+  const b = fingerprintSql('select *\nfrom "CRONUS$Item$11111111-2222-3333-4444-555555555555"\nwhere "No_" in (@7) and x = N\'y\' -- c');
+
+  assert.equal(a.normalized, 'SELECT * FROM "CRONUS$Item" WHERE "No_" IN ( ? ) AND X = ?');
+  assert.equal(a.fingerprint, b.fingerprint);
+  assert.match(a.fingerprint, /^[0-9a-f]{8}$/);
+  assert.notEqual(a.fingerprint, fingerprintSql('SELECT * FROM "CRONUS$Item" WHERE "No_" = @0').fingerprint);
+  assert.equal(
+    fingerprintSql("DECLARE c1 CURSOR FOR SELECT 1; OPEN c1; FETCH NEXT FROM c1").fingerprint,
+    fingerprintSql("DECLARE SQL_CUR42 CURSOR FOR SELECT 1; OPEN SQL_CUR42; FETCH NEXT FROM SQL_CUR42").fingerprint,
+  );
+  assert.equal(
+    fingerprintSql("SELECT SUBSTRING(a, @0, @1), DATEADD(day, 1, @2) FROM T WHERE b NOT IN (@3, @4, @5)").normalized,
+    "SELECT SUBSTRING ( A , ? , ? ) , DATEADD ( DAY , ? , ? ) FROM T WHERE B NOT IN ( ? )",
+  );
+  assert.notEqual(
+    fingerprintSql("INSERT INTO T VALUES (@0, @1)").fingerprint,
+    fingerprintSql("INSERT INTO T VALUES (@0)").fingerprint,
+  );
+});
+
+test("generateBatch groups statements by fingerprint with distinct parameter sets", () => {
+  const trace = [
+    "set @p1=27",
+    "exec sp_prepare @p1 output,N'@0 nvarchar(20)',N'SELECT * FROM \"T\" WHERE \"No_\" = @0',1",
+    "exec sp_execute 27,N'A'",
+    "exec sp_execute 27,N'B'",
+    "exec sp_execute 27,N'A'",
+    "exec sp_executesql N'SELECT 1'",
+  ].join("\n");
+
+  const batch = generateBatch(trace, { formatter: passthroughFormatter });
+
+  assert.deepEqual(batch.groups.map((group) => [group.count, group.statements]), [[3, [1, 2, 3]], [1, [4]]]);
+  assert.deepEqual(batch.groups[0].parameterSets, [{ "@0": "N'A'" }, { "@0": "N'B'" }]);
+  assert.equal(batch.groups[0].example, 'SELECT * FROM "T" WHERE "No_" = @0');
+});
+
+test("exportMarkdown writes fenced SQL and a parameter table with per-parameter warnings", () => {
+  const result = generate('SELECT * FROM "T" WHERE "A" = @0', "exec sp_execute 1,@0=N'a|b',@1=5", {
+    formatter: passthroughFormatter,
+  });
+
+  const markdown = exportMarkdown(result);
+
+  assert.match(markdown, /^```sql\nDECLARE @0 nvarchar\(3\) = N'a\|b';\n\nSELECT \* FROM "T" WHERE "A" = @0\n```\n/);
+  assert.match(markdown, /\| @0 \| N'a\\\|b' \| nvarchar\(3\) \| {2}\|/);
+  assert.match(markdown, /\| @1 \| 5 \| int \| EXEC parameter @1 is not referenced in the SQL statement\. \|/);
+});
+
+test("exportHtml is self-contained and escapes highlighted SQL", () => {
+  const result = generateFromCall("exec sp_executesql N'SELECT * FROM \"T\" WHERE \"A\" < @0',N'@0 int',@0=1", {
+    formatter: passthroughFormatter,
+  });
+
+  const html = exportHtml(result);
+
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<style>[^<]*\.sql-keyword/);
+  assert.match(html, /<span class="sql-keyword">SELECT<\/span>/);
+  assert.match(html, /&lt;/);
+  assert.doesNotMatch(html, /<script|<link/);
+});
+
+test("exportJson round-trips the generation result and labels batch statements elsewhere", () => {
+  const result = generate("SELECT @0", "exec sp_execute 1,@0=1", { formatter: passthroughFormatter });
+  assert.deepEqual(JSON.parse(exportJson(result)), JSON.parse(JSON.stringify(result)));
+
+  const batch = generateBatch("exec sp_executesql N'SELECT 1'", { formatter: passthroughFormatter });
+  assert.match(exportMarkdown(batch), /^### Statement 1 \(sp_executesql\)\n/);
+});
+
+test("share fragments round-trip input state and reject foreign fragments", async () => {
+  const state = {
+    sql: 'SELECT * FROM "T" WHERE "No_" = @0',
+    exec: "exec sp_execute 1,@0=N'ÄBC'",
+    call: "",
+    inputMode: "split",
+    outputMode: "inline",
+    sourceComments: "true",
+    navAnnotations: "",
+    narrowIntegers: "",
+    redactValues: "true",
+    formatOptions: '{"keywordCase":"lower"}',
+  };
+
+  const fragment = await encodeShareFragment(state);
+
+  assert.match(fragment, /^share=[zj][A-Za-z0-9_-]+$/);
+  assert.deepEqual(await decodeShareFragment(`#${fragment}`), state);
+  assert.equal(await decodeShareFragment("#top"), null);
+  assert.equal(await decodeShareFragment("#share=z!!"), null);
+});
+
+test("redactTraceValues replaces parameter values but keeps the statement, definitions and handle", () => {
+  assert.equal(
+    redactTraceValues("exec sp_execute 27,@0=N'O''Brien',@1=12.5,@2=0xAB12,@3='2024-01-31'"),
+    "exec sp_execute 27,@0=N'B''Hovcj',@1=12.2,@2=0x0003,@3='2000-01-05'",
+  );
+  assert.equal(
+    redactTraceValues("exec sp_prepexec @p1 output,N'@0 int,@1 nvarchar(9)',N'SELECT 1 WHERE a = @0 AND b = @1',42,N'Bob'"),
+    "exec sp_prepexec @p1 output,N'@0 int,@1 nvarchar(9)',N'SELECT 1 WHERE a = @0 AND b = @1',11,N'Cho'",
+  );
+  assert.equal(
+    redactTraceValues("exec sp_executesql @stmt=N'SELECT @0',@params=N'@0 int',@0=7"),
+    "exec sp_executesql @stmt=N'SELECT @0',@params=N'@0 int',@0=3",
+  );
+});
+
+test("generate with redact replaces values by same-typed synthetic values, consistently", () => {
+  const sql = 'SELECT * FROM "T" WHERE "Name" IN (@0, @1) AND "Posting Date" >= @2 AND "Amount" > @3 AND "Line No_" = @4 AND "Due" = @5';
+  const exec = "exec sp_execute 1,@0=N'O''Brien Ltd',@1=N'O''Brien Ltd',@2='2024-03-15 10:22:01.123',@3=12345.67,@4=10000,@5='1753-01-01 00:00:00.000'";
+
+  const result = generate(sql, exec, { formatter: passthroughFormatter, redact: { keepParams: ["@4"] } });
+  const byName = new Map(result.params.map((param) => [param.name, param]));
+
+  assert.doesNotMatch(result.outputSql, /Brien|2024|12345/);
+  assert.match(byName.get("@0").rawToken, /^N'\w''\w{5} \w{3}'$/);
+  assert.equal(byName.get("@0").rawToken, byName.get("@1").rawToken);
+  assert.equal(byName.get("@0").inferredType, "nvarchar(11)");
+  assert.match(byName.get("@2").rawToken, /^'\d{4}-\d{2}-\d{2} 00:00:00\.000'$/);
+  assert.match(byName.get("@3").rawToken, /^1\d{4}\.\d{2}$/);
+  assert.equal(byName.get("@4").rawToken, "10000");
+  assert.equal(byName.get("@5").meaning, "blank date");
+  assert.match(result.outputSql, /^DECLARE @0 nvarchar\(11\) = N'/);
+});
+
+test("redaction covers values quoted in warnings and keeps numbers on request", () => {
+  const call = "exec sp_executesql N'SELECT @0, @1',N'@0 int,@1 int',@0=N'secret',@1=42";
+
+  const redacted = generateFromCall(call, { formatter: passthroughFormatter, redact: true });
+  assert.doesNotMatch(redacted.warnings.join("\n"), /secret/);
+  assert.match(redacted.warnings.join("\n"), /Value N'\w{6}' for @0/);
+  assert.notEqual(redacted.params[1].rawToken, "42");
+
+  const keptNumbers = generateFromCall(call, { formatter: passthroughFormatter, redact: { keepNumbers: true } });
+  assert.equal(keptNumbers.params[1].rawToken, "42");
+});
+
+test("generateBatch with redact maps equal values to equal replacements across statements", () => {
+  const call = "exec sp_executesql N'SELECT @0',N'@0 nvarchar(5)',@0=N'Alpha'";
+  const batch = generateBatch(`${call}\n${call}\n${call.replace("Alpha", "Bravo")}`, {
+    formatter: passthroughFormatter,
+    redact: true,
+  });
+
+  const values = batch.statements.map((statement) => statement.result.params[0].rawToken);
+  assert.equal(values[0], values[1]);
+  assert.notEqual(values[0], values[2]);
+  assert.doesNotMatch(batch.outputSql, /Alpha|Bravo/);
+});
+
+test("parameterise pulls literals into placeholders and round-trips through generateFromCall", () => {
+  const sql = "SELECT TOP 50 \"No_\" FROM \"T\" WHERE \"Type\" = 2 AND \"Name\" LIKE N'%O''Brien%' AND \"Date\" >= '2024-01-01' AND \"Id\" = 0x0A";
+
+  const result = parameterise(sql);
+
+  assert.equal(result.sqlText, 'SELECT TOP 50 "No_" FROM "T" WHERE "Type" = @0 AND "Name" LIKE @1 AND "Date" >= @2 AND "Id" = @3');
+  assert.deepEqual(result.params.map((param) => [param.name, param.inferredType]), [
+    ["@0", "int"],
+    ["@1", "nvarchar(9)"],
+    ["@2", "date"],
+    ["@3", "varbinary(1)"],
+  ]);
+  assert.match(result.callText, /^EXEC sp_executesql N'SELECT TOP 50 .*',\n {2}N'@0 int, @1 nvarchar\(9\), @2 date, @3 varbinary\(1\)',\n {2}@0 = 2,/);
+
+  const inlined = generateFromCall(result.callText, { formatter: passthroughFormatter, mode: "inline" });
+  assert.equal(inlined.outputSql, sql);
+});
+
+test("parameterise keeps type arguments, bare TOP, ORDER BY ordinals, hints and comments constant", () => {
+  const result = parameterise(
+    "SELECT CAST(\"A\" AS decimal(38,20)) FROM \"T\" WHERE \"B\" = @0 AND \"C\" = 'x' -- 'y' 5\nORDER BY 1, 2 OFFSET 10 ROWS OPTION (FAST 50)",
+  );
+
+  assert.equal(
+    result.sqlText,
+    "SELECT CAST(\"A\" AS decimal(38,20)) FROM \"T\" WHERE \"B\" = @0 AND \"C\" = @1 -- 'y' 5\nORDER BY 1, 2 OFFSET @2 ROWS OPTION (FAST 50)",
+  );
+  assert.deepEqual(result.params.map((param) => param.name), ["@1", "@2"]);
+  assert.equal(result.diagnostics[0].code, "EXISTING_PLACEHOLDER");
+  assert.deepEqual(result.warnings, ["@0 was already a placeholder in the query and has no value; passing NULL as sql_variant."]);
+});
+
+test("parameterise keeps index hints and IDENTITY seeds constant", () => {
+  const result = parameterise("SELECT IDENTITY(int, 1, 1) AS \"Id\" INTO \"#T\" FROM \"T\" WITH (INDEX(1), NOLOCK) WHERE \"A\" = 5");
+
+  assert.equal(result.sqlText, "SELECT IDENTITY(int, 1, 1) AS \"Id\" INTO \"#T\" FROM \"T\" WITH (INDEX(1), NOLOCK) WHERE \"A\" = @0");
+  assert.deepEqual(result.warnings, []);
+});
+
+test("generateFromCall accepts sp_cursorprepexec and sp_cursoropen argument layouts", () => {
+  const prepexec = generateFromCall(
+    "exec sp_cursorprepexec @p1 output,@p2 output,N'@0 nvarchar(20)',N'SELECT * FROM \"T\" WHERE \"No_\" = @0',@p5 output,@p6 output,@p7 output,N'10000'",
+    { formatter: passthroughFormatter },
+  );
+  assert.equal(prepexec.outputSql, "DECLARE @0 nvarchar(20) = N'10000';\n\nSELECT * FROM \"T\" WHERE \"No_\" = @0");
+  assert.deepEqual(prepexec.warnings, []);
+
+  const open = parseProcedureCall("exec sp_cursoropen @p1 output,N'SELECT @0',@p3 output,@p4 output,@p5 output,N'@0 int',7");
+  assert.equal(open.sqlText, "SELECT @0");
+  assert.deepEqual(open.assignments, [{ name: "@0", valueToken: "7" }]);
+});
+
+test("generateBatch matches sp_cursorexecute to its sp_cursorprepexec and skips fetch/close calls", () => {
+  const trace = [
+    "declare @p1 int",
+    "set @p1=1073741825",
+    "exec sp_cursorprepexec @p1 output,@p2 output,N'@0 nvarchar(20)',N'SELECT * FROM \"T\" WHERE \"No_\" > @0',@p5 output,@p6 output,@p7 output,N'A'",
+    "exec sp_cursorfetch 180150003,2,0,50",
+    "exec sp_cursorexecute 1073741825,@p2 output,@p3 output,@p4 output,@p5 output,N'B'",
+    "exec sp_cursorclose 180150003",
+  ].join("\n");
+
+  const batch = generateBatch(trace, { formatter: passthroughFormatter });
+
+  assert.deepEqual(batch.statements.map((statement) => [statement.procedure, statement.handle]), [
+    ["sp_cursorprepexec", "1073741825"],
+    ["sp_cursorexecute", "1073741825"],
+  ]);
+  assert.match(batch.statements[1].result.outputSql, /^DECLARE @0 nvarchar\(20\) = N'B';/);
+  assert.deepEqual(batch.warnings, []);
+  assert.equal(
+    redactTraceValues("exec sp_cursorexecute 5,@p2 output,16,8193,0,N'Bob'"),
+    "exec sp_cursorexecute 5,@p2 output,16,8193,0,N'Bho'",
+  );
+});
+
+test("analyzeStatement explains the NAV key-seek paging predicate", () => {
+  const sql = 'SELECT TOP 50 * FROM "T" WHERE "Document Type" = @0 AND ("No_" > @1 OR ("No_" = @1 AND "Line No_" > @2)) ORDER BY "No_", "Line No_"';
+  const result = generate(sql, "exec sp_execute 1,@0=1,@1=N'SO-1001',@2=20000", { formatter: passthroughFormatter });
+
+  assert.equal(result.analysis.keySeek.description, "continuing after key (No.=SO-1001, Line No.=20000)");
+  assert.deepEqual(result.analysis.keySeek.key.map((column) => column.value), ["@1", "@2"]);
+
+  const flat = analyzeStatement('SELECT * FROM "T" WHERE (("A"=@0 AND "B"<=@1) OR "A"<@0)');
+  assert.equal(flat.keySeek.description, "continuing back from key (A=@0, B=@1)");
+  assert.equal(analyzeStatement('SELECT * FROM "T" WHERE "A" > @0 OR ("B" = @0 AND "C" > @1)').keySeek, null);
+});
+
+test("runGenerateRequest runs the selected input mode and splits parse and format time", () => {
+  let time = 0;
+  const clock = () => time;
+  const slowFormatter = {
+    format(sql) {
+      time += 5;
+      return sql;
+    },
+  };
+  const request = {
+    id: 7,
+    inputMode: "call",
+    call: "exec sp_executesql N'SELECT @0',N'@0 int',@0=1",
+    options: { mode: "declare" },
+  };
+
+  const response = runGenerateRequest(request, slowFormatter, clock);
+
+  assert.equal(response.id, 7);
+  assert.equal(response.inputMode, "call");
+  assert.equal(response.result.outputSql, "DECLARE @0 int = 1;\n\nSELECT @0");
+  assert.deepEqual(response.timings, { parseMs: 0, formatMs: 5, totalMs: 5 });
+
+  const batch = runGenerateRequest({ id: 8, inputMode: "batch", batch: request.call, options: {} }, passthroughFormatter);
+  assert.equal(batch.result.statements.length, 1);
+});
+
+test("exports list warnings about parameters that have no value", () => {
+  const result = generate("SELECT @1, @7", "exec sp_execute 1,@1=5", { formatter: passthroughFormatter });
+
+  const markdown = exportMarkdown(result);
+  assert.match(markdown, /\| @1 \| 5 \| int \|/);
+  assert.match(markdown, /Warnings:\n\n- Missing value for @7/);
+  assert.match(exportHtml(result), /<li>Missing value for @7/);
+});
+
+test("exportMarkdown uses a fence longer than any backtick run in the SQL", () => {
+  const result = generate("SELECT @0", "exec sp_execute 1,@0=N'A|B```'", { formatter: passthroughFormatter });
+
+  assert.match(exportMarkdown(result), /^````sql\n[\s\S]*N'A\|B```'[\s\S]*\n````\n/);
+});
+
+test("output parameters in value slots keep their position", () => {
+  const exec = parseExecStatement("exec sp_execute 27,@p3 output,5,N'x'");
+  assert.deepEqual(Array.from(exec.params.keys()), ["@1", "@2"]);
+  assert.equal(exec.params.get("@1").rawToken, "5");
+  assert.equal(exec.params.get("@2").rawToken, "N'x'");
+
+  const call = parseProcedureCall("exec sp_executesql N'SELECT @0, @1, @2',N'@0 int output,@1 int,@2 nvarchar(1)',@p3 output,5,N'x'");
+  assert.deepEqual(call.assignments, [
+    { name: "@1", valueToken: "5" },
+    { name: "@2", valueToken: "N'x'" },
+  ]);
+  assert.deepEqual(call.warnings, []);
+});
+
+test("splitSqlBatches keeps BEGIN...END and CASE...END blocks together", () => {
+  assert.deepEqual(
+    splitSqlBatches("IF @0 = 1 BEGIN UPDATE t SET a = @1; DELETE FROM u; END; SELECT CASE WHEN a = 1 THEN 'x;' END FROM t; BEGIN TRAN; COMMIT;"),
+    [[
+      "IF @0 = 1 BEGIN UPDATE t SET a = @1; DELETE FROM u; END;",
+      "SELECT CASE WHEN a = 1 THEN 'x;' END FROM t;",
+      "BEGIN TRAN;",
+      "COMMIT;",
+    ]],
+  );
+});
+
+test("generateBatch prefixes diagnostics of multi-statement queries once", () => {
+  const batch = generateBatch(
+    "exec sp_executesql N'UPDATE t SET a = @0; DELETE FROM u WHERE b = @0',N'@0 int',@0=1",
+    {},
+  );
+  const unavailable = batch.diagnostics.filter((diagnostic) => diagnostic.code === "FORMATTER_UNAVAILABLE");
+  assert.equal(unavailable.length, 2);
+  assert.equal(unavailable[1].message, "Statement 1: SQL formatter is unavailable; output was left unformatted.");
+  assert.equal(unavailable[1].statement, 1);
+  assert.equal(unavailable[1].innerStatement, 2);
+});
+
+test("history keeps large trace files out of storage and evicts the oldest unpinned entry", () => {
+  const state = { inputMode: "batch", outputMode: "declare" };
+  const result = generateBatch("exec sp_executesql N'SELECT 1'", { formatter: passthroughFormatter });
+  const large = createHistoryEntry(state, "x".repeat(200000), result);
+  assert.equal(large.batch, "");
+  assert.equal(large.batchOmitted, true);
+  assert.equal(addHistoryEntry([large], createHistoryEntry(state, "y".repeat(200000), result)).length, 2);
+  assert.equal(createHistoryEntry(state, "exec sp_execute 1", result).batch, "exec sp_execute 1");
+
+  const entries = ["a", "b", "c"].map((id, index) => ({ id, pinned: index === 2 }));
+  assert.deepEqual(evictHistoryEntry(entries).map((entry) => entry.id), ["a", "c"]);
+  assert.equal(evictHistoryEntry([{ id: "p", pinned: true }]), null);
+});
+
+test("diffSqlTokens falls back to one removed and one added segment for very large inputs", () => {
+  const left = `SELECT a FROM T WHERE ${Array.from({ length: 2500 }, (_, i) => `c${i} = ${i}`).join(" AND ")} ORDER BY a`;
+  const right = `SELECT a FROM T WHERE ${Array.from({ length: 2500 }, (_, i) => `c${i} = ${i + 1}`).join(" AND ")} ORDER BY a`;
+  const segments = diffSqlTokens(left, right);
+  assert.deepEqual(segments.map((segment) => segment.type), ["same", "removed", "added", "same"]);
+  assert.equal(segments[0].text, "SELECT A FROM T WHERE C0 =");
+  assert.equal(segments[3].text, "ORDER BY A");
+});
+
+test("redactTraceValues redacts every call of a multi-line trace, including non-ASCII letters", () => {
+  const rules = { replacements: new Map() };
+  const exec = redactTraceValues(
+    "exec sp_execute 27,@0=N'Müller Straße 5'\nexec sp_executesql N'SELECT @0 -- Bob',N'@0 nvarchar(3)',@0=N'Bob'; exec sp_execute 28,N'Bob'",
+    rules,
+  );
+  assert.equal(
+    exec,
+    "exec sp_execute 27,@0=N'Bhovcj Qxelsz 4'\nexec sp_executesql N'SELECT @0 -- Bob',N'@0 nvarchar(3)',@0=N'Cho'; exec sp_execute 28,N'Cho'",
+  );
+  assert.equal(redactTraceValues("exec sp_execute 29,@0=N'Bob'", rules), "exec sp_execute 29,@0=N'Cho'");
+  assert.equal(
+    redactTraceValues("exec sp_execute 29,@0=N'Bob',@1=N'Ann'", { keepParams: ["@1"] }),
+    "exec sp_execute 29,@0=N'Bho',@1=N'Ann'",
+  );
+});
+
+test("generateBatch does not reuse an earlier handle after set @p1=NULL", () => {
+  const trace = [
+    "declare @p1 int",
+    "set @p1=27",
+    "exec sp_prepexec @p1 output,N'@0 int',N'SELECT * FROM \"A\" WHERE \"X\"=@0',1",
+    "set @p1=NULL",
+    "exec sp_prepexec @p1 output,N'@0 nvarchar(10)',N'SELECT * FROM \"B\" WHERE \"Y\"=@0',N'b'",
+    "exec sp_execute 27,5",
+  ].join("\n");
+
+  const batch = generateBatch(trace, { formatter: passthroughFormatter });
+
+  assert.equal(batch.statements.length, 3);
+  assert.equal(batch.statements[1].handle, null);
+  assert.equal(batch.statements[2].handle, "27");
+  assert.match(batch.statements[2].result.outputSql, /^DECLARE @0 int = 5;\n\nSELECT \* FROM "A"/);
+});
+
+test("redactTraceValues redacts bare split-mode assignments without a procedure", () => {
+  const redacted = redactTraceValues("@0=N'Smith', @1=42,\n@2='2024-01-31'");
+
+  assert.equal(redacted, "@0=N'Bhovc', @1=12,\n@2='2000-01-04'");
+  assert.doesNotMatch(redacted, /Smith|42|2024/);
+});
+
+test("generateFromCall accepts calls without parameters", () => {
+  const result = generateFromCall("exec sp_executesql N'SELECT 1'", { formatter: passthroughFormatter });
+
+  assert.equal(result.outputSql, "SELECT 1");
+  assert.deepEqual(result.warnings, []);
+
+  const missing = generateFromCall("exec sp_executesql N'SELECT @0',N'@0 int'", { formatter: passthroughFormatter });
+  assert.ok(missing.diagnostics.some((diagnostic) => diagnostic.code === "NO_CALL_VALUES"));
+});
+
+test("parameterise folds a unary minus into the parameter value", () => {
+  const result = parameterise("SELECT \"A\" FROM \"T\" WHERE \"X\" = -5 AND \"Y\" > (-2.5) AND \"Z\" = \"A\" - 3");
+
+  assert.equal(result.sqlText, "SELECT \"A\" FROM \"T\" WHERE \"X\" = @0 AND \"Y\" > (@1) AND \"Z\" = \"A\" - @2");
+  assert.deepEqual(result.params.map((param) => param.normalizedLiteral), ["-5", "-2.5", "3"]);
+  assert.equal(
+    fingerprintSql(result.sqlText).fingerprint,
+    fingerprintSql(parameterise("SELECT \"A\" FROM \"T\" WHERE \"X\" = 5 AND \"Y\" > (2.5) AND \"Z\" = \"A\" - 3").sqlText).fingerprint,
+  );
+});